@@ -5,6 +5,10 @@ module.exports = {
     node: true, // Enabled for node config files like this
     es6: true,
   },
+  globals: {
+    // Used to get the global fetch in any environment, as the library's fetch class shadows it
+    globalThis: "readonly",
+  },
   extends: ["eslint:recommended", "prettier", "plugin:prettier/recommended"],
   plugins: ["prettier"],
   parserOptions: {
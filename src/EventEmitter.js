@@ -0,0 +1,46 @@
+/**
+ * Minimal event emitter, so that the library does not depend on node's events module in browsers
+ */
+export default class EventEmitter {
+  constructor() {
+    this._listeners = {};
+  }
+
+  /**
+   * @param {String} event Name of the event
+   * @param {function} listener Called with the event payload
+   * @returns {function} Function to remove the listener
+   */
+  on(event, listener) {
+    this._listeners[event] = [...(this._listeners[event] || []), listener];
+    return () => this.off(event, listener);
+  }
+
+  /**
+   * @param {String} event Name of the event
+   * @param {function} listener Listener added with on()
+   */
+  off(event, listener) {
+    if (this._listeners[event])
+      this._listeners[event] = this._listeners[event].filter(
+        (l) => l !== listener
+      );
+  }
+
+  /**
+   * Errors thrown by listeners are rethrown asynchronously, so that they are still reported
+   * but do not stop the other listeners or fail the code that emitted the event
+   * @param {String} event Name of the event
+   * @param {*} payload Passed to every listener of the event
+   */
+  emit(event, payload) {
+    for (const listener of this._listeners[event] || [])
+      try {
+        listener(payload);
+      } catch (error) {
+        setTimeout(() => {
+          throw error;
+        });
+      }
+  }
+}
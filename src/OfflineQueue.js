@@ -0,0 +1,263 @@
+import EventEmitter from "./EventEmitter";
+import { indexedDBStorage, memoryStorage } from "./offlineStorage";
+import { RequestQueuedError } from "./errors";
+
+// Responses that can succeed if the request is sent again later, so the request is kept in the queue
+const temporaryStatusCodes = [408, 429];
+
+// Upper bound of the delay between replays while online in milliseconds
+const maxRetryDelay = 300000;
+
+// Names of the queues created on this page, so that every queue has its own IndexedDB database
+const queueNames = new Set();
+
+/**
+ * Reserve the name of a queue, defaulting to "fetch-with-fire" and then "fetch-with-fire-2" and so on,
+ * which stays the same across reloads as long as the clients are created in the same order
+ * @function reserveQueueName
+ * @param {String} [name] Name set with the "name" option
+ * @returns {String} Name of the queue
+ */
+function reserveQueueName(name) {
+  if (name === undefined) {
+    name = "fetch-with-fire";
+    for (let i = 2; queueNames.has(name); i++) name = `fetch-with-fire-${i}`;
+  } else if (queueNames.has(name))
+    throw new Error(
+      `Offline queue name "${name}" is already used by another client`
+    );
+
+  queueNames.add(name);
+  return name;
+}
+
+/**
+ * Check if the browser is known to be offline, runtimes without navigator.onLine are treated as online
+ * @function isOffline
+ */
+export function isOffline() {
+  return typeof navigator !== "undefined" && navigator.onLine === false;
+}
+
+/**
+ * Convert the init object of a request to a structured cloneable object that can be stored
+ * @function toStoredInit
+ * @param {object} init Request object without the Authorization header added by the library, with the resolved auth options
+ * @returns {object} Stored init object, with FormData bodies stored as an array of entries
+ */
+function toStoredInit({ method, headers, body, auth, trustedOrigins }) {
+  const storedInit = { method, headers: { ...headers }, auth, trustedOrigins };
+
+  if (body instanceof FormData) storedInit.formData = [...body.entries()];
+  else if (body instanceof URLSearchParams) storedInit.body = body.toString();
+  else if (
+    typeof ReadableStream !== "undefined" &&
+    body instanceof ReadableStream
+  )
+    throw new Error("Streamed request bodies cannot be queued");
+  else storedInit.body = body;
+
+  return storedInit;
+}
+
+/**
+ * Convert a stored init object back to the init object of the request, see toStoredInit
+ * @function fromStoredInit
+ */
+function fromStoredInit({ formData, ...init }) {
+  if (!formData) return init;
+
+  const body = new FormData();
+  for (const [name, value] of formData) body.append(name, value);
+  return { ...init, body };
+}
+
+/**
+ * Queue of mutating requests that failed because of a network failure or being offline, see the "offline" option.
+ * Requests are persisted with the storage adapter and replayed in the order they were queued once back online.
+ * Events, all called with an object with the queued request:
+ * - queued: Request is added to the queue, with the network error as error
+ * - replayed: Request is sent successfully, with the response
+ * - failed: Request is removed from the queue as it cannot succeed or failed too many times, with the response or error
+ */
+export default class OfflineQueue extends EventEmitter {
+  /**
+   * @param {object} client The fetch instance used to replay the requests
+   * @param {object} [options]
+   * @param {object} [options.storage] Storage adapter, defaults to indexedDBStorage(name) or memoryStorage() if IndexedDB is not available
+   * @param {String} [options.name] Name of the IndexedDB database of the default storage, unique for every client, see reserveQueueName
+   * @param {String} [options.idempotencyHeader] Header to send the idempotency key with, defaults to "Idempotency-Key"
+   * @param {Number} [options.timeout] Timeout in milliseconds of every replayed request, defaults to 30 seconds
+   * @param {Number} [options.maxAttempts] Times a request can fail temporarily while online before it is dropped, defaults to 10
+   * @param {Number} [options.retryDelay] Delay in milliseconds before replaying while online, e.g. on flaky connections where
+   * the browser never goes offline, doubled on every failed attempt up to 5 minutes, defaults to 5 seconds
+   */
+  constructor(
+    client,
+    {
+      storage,
+      name,
+      idempotencyHeader = "Idempotency-Key",
+      timeout = 30000,
+      maxAttempts = 10,
+      retryDelay = 5000,
+    } = {}
+  ) {
+    super();
+
+    this._client = client;
+    this._storage =
+      storage ||
+      (typeof indexedDB === "undefined"
+        ? memoryStorage()
+        : indexedDBStorage(reserveQueueName(name)));
+    this.idempotencyHeader = idempotencyHeader;
+    this._timeout = timeout;
+    this._maxAttempts = maxAttempts;
+    this._retryDelay = retryDelay;
+
+    // Errors like storage failures are ignored, as the requests are kept to be replayed next time
+    if (typeof window !== "undefined" && window.addEventListener)
+      window.addEventListener("online", () => this.replay().catch(() => {}));
+
+    // Replay requests persisted in a previous session
+    if (!isOffline()) this.replay().catch(() => {});
+  }
+
+  /**
+   * Add a request to the queue
+   * @param {String} url Full URL of the request
+   * @param {object} init Request object of the request
+   * @param {Error} error The network error
+   * @returns {Error} RequestQueuedError, or the given error if the request cannot be queued
+   */
+  async enqueue(url, init, error) {
+    let request;
+    try {
+      request = { url, init: toStoredInit(init), queuedAt: Date.now() };
+      request.id = await this._storage.add(request);
+    } catch (_) {
+      // Requests that cannot be stored fail with the network error as usual
+      return error;
+    }
+
+    this.emit("queued", { request, error });
+
+    // Browsers can stay online on flaky connections, so there might be no online event to replay on
+    if (!isOffline()) this._scheduleReplay();
+
+    return new RequestQueuedError(request, error);
+  }
+
+  /**
+   * Replay after a delay, replacing any replay that is already scheduled
+   * @param {Number} [attempts] Times the first queued request failed while online, to back off exponentially
+   */
+  _scheduleReplay(attempts = 0) {
+    clearTimeout(this._replayTimeoutID);
+    this._replayTimeoutID = setTimeout(
+      () => this.replay().catch(() => {}),
+      Math.min(this._retryDelay * 2 ** attempts, maxRetryDelay)
+    );
+
+    // Node processes are not kept alive just to replay
+    if (this._replayTimeoutID.unref) this._replayTimeoutID.unref();
+  }
+
+  /**
+   * Get every queued request, in the order they will be replayed
+   * @returns {Promise<Array<object>>}
+   */
+  getAll() {
+    return this._storage.getAll();
+  }
+
+  /**
+   * Replay the queued requests in order, which is done automatically when the browser goes back online,
+   * and after a delay while online, see _scheduleReplay.
+   * Replay stops at the first request that fails with a network error, timeout or a temporary server error,
+   * so that the remaining requests are still sent in order next time.
+   * A request that failed this way maxAttempts times while online is dropped as failed instead.
+   * Requests with any other response are removed from the queue.
+   * @returns {Promise} Resolves once the replay stops, shared if a replay is already running
+   */
+  replay() {
+    // Only one replay at a time, so that no request is sent twice
+    if (!this._replaying)
+      this._replaying = this._replay().then(
+        () => {
+          this._replaying = undefined;
+        },
+        (error) => {
+          this._replaying = undefined;
+          throw error;
+        }
+      );
+
+    return this._replaying;
+  }
+
+  async _replay() {
+    // Queued requests can be replayed right after the page loads, before the persisted session is restored
+    await this._client._waitForAuth({ waitForAuth: true });
+
+    for (const request of await this._storage.getAll()) {
+      const { response, error, temporary } = await this._send(request);
+
+      if (temporary) {
+        // Nothing is counted while offline, and the remaining requests are kept in order for the next replay
+        if (isOffline()) return;
+
+        const attempts = (request.attempts || 0) + 1;
+        if (attempts < this._maxAttempts) {
+          await this._storage.update({ ...request, attempts });
+          this._scheduleReplay(attempts);
+          return;
+        }
+
+        // Requests that keep failing, e.g. with an invalid URL, are dropped so that they do not block the queue
+      }
+
+      await this._storage.remove(request.id);
+      this.emit(response && response.ok ? "replayed" : "failed", {
+        request,
+        response,
+        error,
+      });
+    }
+  }
+
+  /**
+   * Send a queued request with the replay timeout
+   * @param {object} request Queued request
+   * @returns {object} Response or error, and if the request can succeed if it is replayed again later
+   */
+  async _send(request) {
+    const controller = new AbortController();
+    const timeoutID = setTimeout(() => controller.abort(), this._timeout);
+
+    try {
+      // ID token is attached when the request is sent, so the token used is a fresh one instead of the one at queue time
+      const response = await this._client._send(
+        request.url,
+        fromStoredInit(request.init),
+        controller.signal
+      );
+
+      return {
+        response,
+        temporary:
+          response.status >= 500 ||
+          temporaryStatusCodes.includes(response.status),
+      };
+    } catch (error) {
+      // Network failures and timeouts can succeed later, unlike errors such as a missing ID token
+      return {
+        error,
+        temporary: error instanceof TypeError || controller.signal.aborted,
+      };
+    } finally {
+      clearTimeout(timeoutID);
+    }
+  }
+}
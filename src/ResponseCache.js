@@ -0,0 +1,49 @@
+/**
+ * In memory cache of responses used by the "responseCache" option.
+ * Entries are evicted in the order they were last stored once the cache is full.
+ */
+export default class ResponseCache {
+  /**
+   * @param {Number} [maxEntries] Maximum number of responses kept in the cache
+   */
+  constructor(maxEntries = 100) {
+    this._entries = new Map();
+    this._maxEntries = maxEntries;
+  }
+
+  /**
+   * @param {String} key
+   * @returns {object} Cache entry with the url, response, etag, expires and staleUntil, if any
+   */
+  get(key) {
+    return this._entries.get(key);
+  }
+
+  /**
+   * @param {String} key
+   * @param {object} entry Cache entry with the url, response, etag, expires and staleUntil
+   */
+  set(key, entry) {
+    // Delete before setting to move the key to the end, so that the first key is always the oldest
+    this._entries.delete(key);
+    this._entries.set(key, entry);
+
+    if (this._entries.size > this._maxEntries)
+      this._entries.delete(this._entries.keys().next().value);
+  }
+
+  /**
+   * Remove the cached responses of a URL for every user
+   * @param {String} url Full URL of the request, including the query string
+   * @param {boolean} [prefix] Remove every URL starting with the given URL instead
+   */
+  invalidate(url, prefix = false) {
+    for (const [key, entry] of this._entries)
+      if (prefix ? entry.url.startsWith(url) : entry.url === url)
+        this._entries.delete(key);
+  }
+
+  clear() {
+    this._entries.clear();
+  }
+}
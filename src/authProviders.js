@@ -0,0 +1,84 @@
+/**
+ * Auth providers used by the library to get the ID token for the Authorization header.
+ * Every provider implements the same interface:
+ * - getToken({ forceRefresh }): Returns the token, or nothing if the user is not signed in
+ * - onChange(callback): Calls the callback when the user signs in or out, returns a function to unsubscribe
+ * - getUid(): Optional, returns an ID of the user to keep cached and shared results separate for every user
+ * - ready(): Optional, resolves once the auth state is known, e.g. after firebase restores the persisted session
+ */
+
+/**
+ * Adapter for the auth instance of the modular Firebase SDK (v9 and later), or any object with
+ * the currentUser property and onAuthStateChanged method like the namespaced SDK's auth instance
+ * @function firebaseModularAuth
+ * @param {object} auth Auth instance, e.g. from getAuth()
+ * @returns {object} Auth provider
+ */
+export function firebaseModularAuth(auth) {
+  return {
+    async getToken({ forceRefresh = false } = {}) {
+      if (auth.currentUser) return auth.currentUser.getIdToken(forceRefresh);
+    },
+    onChange: (callback) => auth.onAuthStateChanged(callback),
+    getUid: () => (auth.currentUser ? auth.currentUser.uid : ""),
+
+    ready() {
+      // authStateReady is only available from firebase v10
+      if (auth.authStateReady) return auth.authStateReady();
+
+      // First auth state change is fired once the persisted session is restored
+      return new Promise((resolve) => {
+        const unsubscribe = auth.onAuthStateChanged(() => {
+          resolve();
+          // Callback can be called before onAuthStateChanged returns
+          setTimeout(() => unsubscribe());
+        });
+      });
+    },
+  };
+}
+
+/**
+ * Adapter for the namespaced Firebase SDK (v8 and earlier), where auth is a function returning the auth instance
+ * @function firebaseNamespacedAuth
+ * @param {function} firebaseAuth The same firebase auth function that ran initializeApp(), e.g. firebase.auth
+ * @returns {object} Auth provider
+ */
+export function firebaseNamespacedAuth(firebaseAuth) {
+  // Auth instance is only read when used, as firebase might not be initialized when this is called
+  return {
+    getToken: (options) =>
+      firebaseModularAuth(firebaseAuth()).getToken(options),
+    onChange: (callback) => firebaseAuth().onAuthStateChanged(callback),
+    getUid: () => firebaseModularAuth(firebaseAuth()).getUid(),
+    ready: () => firebaseModularAuth(firebaseAuth()).ready(),
+  };
+}
+
+/**
+ * Adapter for a static token or a custom token function, e.g. for emulators or non firebase identity providers
+ * @function tokenAuth
+ * @param {String|function} token Token, or a sync/async function called with { forceRefresh } that returns the token
+ * @param {function} [getUid] Function returning an ID for the current user, for caching and deduplicating per user
+ * @returns {object} Auth provider that never calls onChange callbacks
+ */
+export function tokenAuth(token, getUid) {
+  return {
+    getToken: async ({ forceRefresh = false } = {}) =>
+      typeof token === "function" ? token({ forceRefresh }) : token,
+    onChange: () => () => {},
+    getUid: getUid || (() => ""),
+  };
+}
+
+/**
+ * Get an auth provider from any supported auth input
+ * @function getAuthProvider
+ * @param {function|object} auth Namespaced firebase auth function, modular firebase auth instance or an auth provider
+ * @returns {object} Auth provider
+ */
+export function getAuthProvider(auth) {
+  if (typeof auth === "function") return firebaseNamespacedAuth(auth);
+  if (typeof auth.getToken === "function") return auth;
+  return firebaseModularAuth(auth);
+}
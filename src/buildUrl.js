@@ -0,0 +1,102 @@
+// Matches absolute URLs with a scheme like "https://", which are used as they are without the base URL
+const absoluteUrl = /^[a-z][a-z\d+\-.]*:\/\//i;
+
+/**
+ * Join the base URL and the path with exactly one slash between them
+ * @param {String} [baseUrl]
+ * @param {String} [path]
+ * @returns {String}
+ */
+function joinUrl(baseUrl = "", path = "") {
+  if (!baseUrl || absoluteUrl.test(path)) return path;
+  if (!path) return baseUrl;
+
+  // Path with only a query string or hash is appended to the base URL directly
+  if (path.startsWith("?") || path.startsWith("#")) return baseUrl + path;
+
+  return baseUrl.replace(/\/+$/, "") + "/" + path.replace(/^\/+/, "");
+}
+
+/**
+ * Replace ":name" placeholders in the path with the URL encoded value of the parameter
+ * @param {String} path
+ * @param {object} params
+ * @returns {String}
+ */
+function interpolatePath(path, params) {
+  // Placeholder names must start with a letter, so that ports like ":8080" are not replaced
+  return path.replace(/:([A-Za-z_]\w*)/g, (placeholder, name) => {
+    if (params[name] === undefined || params[name] === null)
+      throw new Error(`Missing URL parameter "${name}" for ${path}`);
+
+    return encodeURIComponent(params[name]);
+  });
+}
+
+/**
+ * Serialize the query object into a query string without the leading "?".
+ * Nested objects are serialized as "key[nested]=value", and undefined or null values are skipped.
+ * @param {object|URLSearchParams} query
+ * @param {String} arrayFormat How arrays are serialized, for tags: ["a", "b"]
+ * - "repeat": tags=a&tags=b
+ * - "brackets": tags[]=a&tags[]=b
+ * - "indices": tags[0]=a&tags[1]=b
+ * - "comma": tags=a,b
+ * @returns {String}
+ */
+function serializeQuery(query, arrayFormat) {
+  if (query instanceof URLSearchParams) return query.toString();
+
+  const pairs = [];
+
+  const add = (key, value) => {
+    if (value === undefined || value === null) return;
+
+    if (Array.isArray(value)) {
+      if (arrayFormat === "comma") add(key, value.join(","));
+      else
+        value.forEach((item, index) => {
+          if (arrayFormat === "brackets") add(`${key}[]`, item);
+          else if (arrayFormat === "indices") add(`${key}[${index}]`, item);
+          else add(key, item);
+        });
+    } else if (value instanceof Date) add(key, value.toISOString());
+    else if (typeof value === "object")
+      for (const nestedKey of Object.keys(value))
+        add(`${key}[${nestedKey}]`, value[nestedKey]);
+    else pairs.push(`${encodeURIComponent(key)}=${encodeURIComponent(value)}`);
+  };
+
+  for (const key of Object.keys(query)) add(key, query[key]);
+
+  return pairs.join("&");
+}
+
+/**
+ * Build the full URL of a request from the base URL, path template, path parameters and query
+ * @function buildUrl
+ * @param {String} baseUrl Base API URL, not used if the path is an absolute URL
+ * @param {String} path Path of the API, which can have ":name" placeholders for params
+ * @param {object} [params] Values for the path placeholders, which will be URL encoded
+ * @param {object|URLSearchParams} [query] Query parameters to append to the URL
+ * @param {String} [arrayFormat] How arrays in the query are serialized, defaults to "repeat", see serializeQuery
+ * @returns {String} Full URL
+ *
+ * @example
+ * buildUrl("https://api.example.com/", "/users/:id/posts", { id: 1 }, { page: 2, tags: ["a", "b"] })
+ * // https://api.example.com/users/1/posts?page=2&tags=a&tags=b
+ */
+export default function buildUrl(
+  baseUrl,
+  path,
+  params,
+  query,
+  arrayFormat = "repeat"
+) {
+  let url = joinUrl(baseUrl, params ? interpolatePath(path, params) : path);
+
+  const queryString = query ? serializeQuery(query, arrayFormat) : "";
+  if (queryString) url += (url.includes("?") ? "&" : "?") + queryString;
+
+  return url;
+}
@@ -0,0 +1,67 @@
+import { AppCheckError } from "./errors";
+
+// Tokens are refreshed a minute before they expire, so that they do not expire while the request is sent
+const expiryMargin = 60 * 1000;
+
+/**
+ * Get the expiry time of a JWT from its "exp" claim
+ * @param {String} token JWT
+ * @returns {Number} Expiry time in milliseconds, or 0 if it cannot be read
+ */
+function getExpiry(token) {
+  try {
+    const payload = token.split(".")[1].replace(/-/g, "+").replace(/_/g, "/");
+    return JSON.parse(atob(payload)).exp * 1000 || 0;
+  } catch (_) {
+    return 0;
+  }
+}
+
+/**
+ * Create the App Check integration that gets and caches the App Check token until it expires
+ * @function createAppCheck
+ * @param {object} options App Check options
+ * @param {object} options.instance App Check instance, e.g. from initializeAppCheck() or firebase.appCheck()
+ * @param {function} [options.getToken] getToken function from "firebase/app-check" for the modular SDK,
+ * if not given instance.getToken() of the namespaced SDK is used
+ * @param {String} [options.headerName] Name of the header, defaults to "X-Firebase-AppCheck"
+ * @param {boolean} [options.failClosed] Fail the request with an AppCheckError if the token cannot be obtained,
+ * defaults to false where the request is sent without the token
+ * @returns {object} Object with the headerName and a getToken method that resolves to the token or nothing
+ */
+export default function createAppCheck({
+  instance,
+  getToken,
+  headerName = "X-Firebase-AppCheck",
+  failClosed = false,
+}) {
+  let token, expiresAt, pendingToken;
+
+  async function requestToken() {
+    try {
+      const result = getToken
+        ? await getToken(instance, false)
+        : await instance.getToken(false);
+
+      token = result.token;
+      expiresAt = getExpiry(token) - expiryMargin;
+      return token;
+    } catch (error) {
+      if (failClosed) throw new AppCheckError(error);
+    } finally {
+      pendingToken = undefined;
+    }
+  }
+
+  return {
+    headerName,
+
+    getToken() {
+      if (token && Date.now() < expiresAt) return token;
+
+      // Concurrent requests share the same token request
+      if (!pendingToken) pendingToken = requestToken();
+      return pendingToken;
+    },
+  };
+}
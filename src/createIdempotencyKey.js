@@ -0,0 +1,12 @@
+/**
+ * Create a random key for the Idempotency-Key header, so that the server can tell a replayed request
+ * apart from a new one, e.g. when the original request reached the server but its response was lost.
+ * @function createIdempotencyKey
+ * @returns {String} UUID if crypto.randomUUID is available, else a random string
+ */
+export default function createIdempotencyKey() {
+  if (globalThis.crypto && globalThis.crypto.randomUUID)
+    return globalThis.crypto.randomUUID();
+
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+}
@@ -0,0 +1,40 @@
+/**
+ * Default request body serializers, checked in order after any custom serializers.
+ * A serializer's test method checks if it can serialize the data, and its serialize method returns
+ * the body with the Content-Type header to send, where no Content-Type lets the browser set it.
+ */
+export default [
+  {
+    // Browser sets the multipart Content-Type with the boundary itself, which cannot be known before hand
+    test: (data) => typeof FormData !== "undefined" && data instanceof FormData,
+    serialize: (data) => ({ body: data }),
+  },
+  {
+    test: (data) =>
+      typeof URLSearchParams !== "undefined" && data instanceof URLSearchParams,
+    serialize: (data) => ({
+      body: data,
+      contentType: "application/x-www-form-urlencoded;charset=UTF-8",
+    }),
+  },
+  {
+    // Includes File, sent raw with the Content-Type set by the browser from the Blob's type
+    test: (data) => typeof Blob !== "undefined" && data instanceof Blob,
+    serialize: (data) => ({ body: data }),
+  },
+  {
+    test: (data) => data instanceof ArrayBuffer || ArrayBuffer.isView(data),
+    serialize: (data) => ({
+      body: data,
+      contentType: "application/octet-stream",
+    }),
+  },
+  {
+    // Everything else is sent as JSON
+    test: () => true,
+    serialize: (data) => ({
+      body: JSON.stringify(data),
+      contentType: "application/json",
+    }),
+  },
+];
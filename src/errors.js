@@ -0,0 +1,181 @@
+/**
+ * Error passed to the error handler when a request does not complete within its timeout.
+ * User initiated aborts (own AbortSignal or abortAll) reject with the "AbortError" from window.fetch instead.
+ */
+export class TimeoutError extends Error {
+  /**
+   * @param {Number} timeout Timeout of the request in milliseconds
+   * @param {String} url URL of the request
+   */
+  constructor(timeout, url) {
+    super(`Request to ${url} timed out after ${timeout}ms`);
+    this.name = "TimeoutError";
+    this.timeout = timeout;
+    this.url = url;
+  }
+}
+
+/**
+ * Error passed to the error handler for non 2xx responses when the "throwHttpErrors" option is set.
+ * Use the subclasses to handle specific status codes, or check the status property.
+ */
+export class HttpError extends Error {
+  /**
+   * @param {Response} response The non 2xx response
+   * @param {*} body Parsed body of the response
+   * @param {object} request Details of the request, with the method and full URL
+   */
+  constructor(response, body, request) {
+    super(
+      `Request to ${request.url} failed with status code ${response.status}`
+    );
+    this.name = "HttpError";
+    this.status = response.status;
+    this.statusText = response.statusText;
+    this.headers = response.headers;
+    this.body = body;
+    this.request = request;
+    this.response = response;
+  }
+}
+
+// Names are set explicitly as class names are mangled when the library is minified
+
+/** 400 Bad Request */
+export class BadRequestError extends HttpError {
+  constructor(...args) {
+    super(...args);
+    this.name = "BadRequestError";
+  }
+}
+
+/** 401 Unauthorized */
+export class UnauthorizedError extends HttpError {
+  constructor(...args) {
+    super(...args);
+    this.name = "UnauthorizedError";
+  }
+}
+
+/** 403 Forbidden */
+export class ForbiddenError extends HttpError {
+  constructor(...args) {
+    super(...args);
+    this.name = "ForbiddenError";
+  }
+}
+
+/** 404 Not Found */
+export class NotFoundError extends HttpError {
+  constructor(...args) {
+    super(...args);
+    this.name = "NotFoundError";
+  }
+}
+
+/** Any 5xx status code */
+export class ServerError extends HttpError {
+  constructor(...args) {
+    super(...args);
+    this.name = "ServerError";
+  }
+}
+
+/**
+ * Create the HttpError subclass matching the response's status code
+ * @function createHttpError
+ * @param {Response} response The non 2xx response
+ * @param {*} body Parsed body of the response
+ * @param {object} request Details of the request, with the method and full URL
+ * @returns {HttpError} The most specific HttpError for the status code
+ */
+export function createHttpError(response, body, request) {
+  if (response.status >= 500) return new ServerError(response, body, request);
+
+  switch (response.status) {
+    case 400:
+      return new BadRequestError(response, body, request);
+    case 401:
+      return new UnauthorizedError(response, body, request);
+    case 403:
+      return new ForbiddenError(response, body, request);
+    case 404:
+      return new NotFoundError(response, body, request);
+    default:
+      return new HttpError(response, body, request);
+  }
+}
+
+/**
+ * Error passed to the error handler when an App Check token cannot be obtained and the "failClosed" option is set
+ */
+export class AppCheckError extends Error {
+  /**
+   * @param {Error} cause Error thrown while getting the App Check token
+   */
+  constructor(cause) {
+    super(`Failed to get App Check token: ${cause && cause.message}`);
+    this.name = "AppCheckError";
+    this.cause = cause;
+  }
+}
+
+/**
+ * Error passed to the error handler when a request with the "required" auth mode is about to be sent
+ * without an ID token, either because the user is not signed in or the URL is not a trusted origin.
+ * No network request is made.
+ */
+export class UnauthenticatedError extends Error {
+  /**
+   * @param {String} url URL of the request
+   * @param {String} reason Why the ID token cannot be sent
+   */
+  constructor(url, reason) {
+    super(`Request to ${url} requires authentication, but ${reason}`);
+    this.name = "UnauthenticatedError";
+    this.url = url;
+  }
+}
+
+/**
+ * Error passed to the error handler when a request failed because of a network failure or being offline,
+ * and was added to the offline queue to be replayed once back online
+ */
+export class RequestQueuedError extends Error {
+  /**
+   * @param {object} request The queued request, with its ID in the queue
+   * @param {Error} cause The network error
+   */
+  constructor(request, cause) {
+    super(
+      `Request to ${request.url} failed and is queued to be sent when back online`
+    );
+    this.name = "RequestQueuedError";
+    this.request = request;
+    this.cause = cause;
+  }
+}
+
+/**
+ * Error passed to the error handler when a response body does not match the request's "schema" or "validate" option
+ */
+export class ResponseValidationError extends Error {
+  /**
+   * @param {Array<object>} issues Every validation issue as { path, message }, where path is an array of keys and indexes
+   * @param {*} body The parsed response body that failed validation
+   * @param {object} [request] Method and URL of the request, set when the error is passed to the error handler
+   */
+  constructor(issues, body, request) {
+    const [{ path = [], message } = {}] = issues;
+    super(
+      `Response failed validation${
+        path.length ? ` at "${path.join(".")}"` : ""
+      }${message ? `: ${message}` : ""}`
+    );
+    this.name = "ResponseValidationError";
+    this.issues = issues;
+    this.path = path;
+    this.body = body;
+    this.request = request;
+  }
+}
@@ -1,11 +1,15 @@
 /**
  * Only returns authentication header if user is authenticated.
- * Split out so if user is unauthenticated, this does not throw if currenUser is null
+ * Split out so if user is unauthenticated, this does not throw if there is no token
  * @function getAuthHeader
- * @param {function} [firebaseAuth] Firebase auth method
+ * @param {object} authProvider Auth provider, see authProviders
+ * @param {boolean} [forceRefresh] Force a new token to be minted even if the cached token has not expired
  * @returns {String} Authentication header or nothing.
  */
-export default async function getAuthHeader(firebaseAuth) {
-  if (firebaseAuth().currentUser)
-    return `Bearer ${await firebaseAuth().currentUser.getIdToken()}`;
+export default async function getAuthHeader(
+  authProvider,
+  forceRefresh = false
+) {
+  const token = await authProvider.getToken({ forceRefresh });
+  if (token) return `Bearer ${token}`;
 }
@@ -0,0 +1,46 @@
+// Library specific options that can be set on the init object, which window.fetch does not understand
+const libraryOptions = [
+  "retry",
+  "refreshTokenOn401",
+  "timeout",
+  "signal",
+  "throwHttpErrors",
+  "responseMode",
+  "responseType",
+  "onUploadProgress",
+  "onDownloadProgress",
+  "params",
+  "query",
+  "queryArrayFormat",
+  "responseCache",
+  "dedupe",
+  "auth",
+  "trustedOrigins",
+  "waitForAuth",
+  "fetch",
+  "offline",
+  "schema",
+  "validate",
+];
+
+/**
+ * Remove library specific options and unset headers from the init object, before it is passed to window.fetch
+ * @function getFetchInit
+ * @param {object} init Request object with library specific options
+ * @returns {object} New request object for window.fetch
+ */
+export default function getFetchInit(init) {
+  const fetchInit = { ...init };
+  for (const option of libraryOptions) delete fetchInit[option];
+
+  // Remove headers that are not set, e.g. Authorization when the user is not signed in,
+  // as fetch converts undefined values to the "undefined" string
+  if (fetchInit.headers && fetchInit.headers.constructor === Object) {
+    fetchInit.headers = { ...fetchInit.headers };
+    for (const header in fetchInit.headers)
+      if (fetchInit.headers[header] === undefined)
+        delete fetchInit.headers[header];
+  }
+
+  return fetchInit;
+}
@@ -1,17 +1,88 @@
+// Status codes that never have a response body
+const nullBodyStatus = [101, 204, 205, 304];
+
+// Method name on the response for every responseType that reads the body
+// API reference https://developer.mozilla.org/en-US/docs/Web/API/Response#methods
+const bodyReaders = {
+  json: "json",
+  text: "text",
+  blob: "blob",
+  arrayBuffer: "arrayBuffer",
+  formData: "formData",
+};
+
 /**
- * Parse the body of the response (can either be JSON or text) to an object with type indicating properties
- * @function getParsedResponse
- * @param {*} response
- * @returns {object} Returns object with either parsed JSON or string. Check type using parsedResponse.json or parsedResponse.string
+ * Parse text as JSON, falling back to the text itself if it is not valid JSON
+ * @param {String} text
+ * @returns {object} Parsed body with the type
  */
-export default async function getParsedResponse(response) {
+function parseText(text) {
+  if (text === "") return { type: "empty", response: null };
+
   try {
-    // API reference https://developer.mozilla.org/en-US/docs/Web/API/Body/json
-    // Read the stream from the cloned response, as the stream can only be read once and
-    // if this fails we need to use the stream again for text() reading
-    return { json: true, response: await response.clone().json() };
+    return { type: "json", response: JSON.parse(text) };
   } catch (_) {
-    // API reference https://developer.mozilla.org/en-US/docs/Web/API/Body/text
-    return { string: true, response: await response.text() };
+    return { type: "text", response: text };
+  }
+}
+
+/**
+ * Parse the body of the response to an object with the type of the parsed body.
+ * If no responseType is given, the body is parsed based on the Content-Type header.
+ * Body is only read once, so no clones of the response are needed.
+ * @function getParsedResponse
+ * @param {Response} response
+ * @param {String} [responseType] One of "json", "text", "blob", "arrayBuffer", "formData", "stream" or "raw"
+ * @returns {object} Returns object with the parsed body as "response" and its "type", which is either
+ * the responseType used or "empty" if there is no body.
+ */
+export default async function getParsedResponse(response, responseType) {
+  // Leave the body for the caller to read as it wants
+  if (responseType === "raw") return { type: "raw", response };
+  if (responseType === "stream")
+    return { type: "stream", response: response.body };
+
+  if (
+    nullBodyStatus.includes(response.status) ||
+    response.headers.get("Content-Length") === "0"
+  )
+    return { type: "empty", response: null };
+
+  if (responseType) {
+    if (!bodyReaders[responseType])
+      throw new Error(`Invalid responseType: ${responseType}`);
+
+    return {
+      type: responseType,
+      response: await response[bodyReaders[responseType]](),
+    };
+  }
+
+  const contentType = (
+    response.headers.get("Content-Type") || ""
+  ).toLowerCase();
+
+  // Handles both "application/json" and vendor types like "application/problem+json"
+  if (contentType.includes("json")) return parseText(await response.text());
+
+  if (
+    contentType.startsWith("text/") ||
+    contentType.includes("xml") ||
+    contentType.includes("javascript") ||
+    contentType.includes("x-www-form-urlencoded")
+  ) {
+    const text = await response.text();
+    return text === ""
+      ? { type: "empty", response: null }
+      : { type: "text", response: text };
   }
+
+  if (contentType.startsWith("multipart/form-data"))
+    return { type: "formData", response: await response.formData() };
+
+  // Binary content like images and PDFs must not be decoded as text, as that corrupts them
+  if (contentType) return { type: "blob", response: await response.blob() };
+
+  // Without a Content-Type, try JSON first before falling back to text
+  return parseText(await response.text());
 }
@@ -0,0 +1,31 @@
+/**
+ * Get the number of milliseconds to wait before the next attempt.
+ * Uses the Retry-After header if the server sent one, else exponential backoff with full jitter.
+ * @function getRetryDelay
+ * @param {object} retryPolicy Retry policy from getRetryPolicy
+ * @param {Number} attempt The attempt that just failed, starting from 1
+ * @param {Response} [response] Response of the failed attempt, not available for network failures
+ * @returns {Number} Delay in milliseconds
+ */
+export default function getRetryDelay(retryPolicy, attempt, response) {
+  const retryAfter = response && response.headers.get("Retry-After");
+
+  // Retry-After can either be in seconds or a HTTP date
+  // API reference https://developer.mozilla.org/en-US/docs/Web/HTTP/Headers/Retry-After
+  if (retryAfter) {
+    const seconds = Number(retryAfter);
+    const delay = isNaN(seconds)
+      ? Date.parse(retryAfter) - Date.now()
+      : seconds * 1000;
+
+    if (!isNaN(delay))
+      return Math.min(Math.max(delay, 0), retryPolicy.maxDelay);
+  }
+
+  // Randomize the delay to avoid every client retrying at the same time after an outage
+  const backoff = Math.min(
+    retryPolicy.maxDelay,
+    retryPolicy.baseDelay * 2 ** (attempt - 1)
+  );
+  return Math.random() * backoff;
+}
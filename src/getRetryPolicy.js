@@ -0,0 +1,32 @@
+// Default retry policy, any option passed in by the user will override these values
+const defaultRetryPolicy = {
+  // Total number of attempts, including the first request
+  maxAttempts: 3,
+  // Base delay in milliseconds that is doubled on every attempt
+  baseDelay: 300,
+  // Upper bound of the delay between attempts in milliseconds, also caps the Retry-After header
+  maxDelay: 10000,
+  // Only idempotent methods are retried by default, as replaying them cannot cause duplicate side effects
+  methods: ["GET", "HEAD", "OPTIONS", "PUT", "DELETE"],
+  // Status codes that indicate a temporary failure worth retrying
+  statusCodes: [408, 429, 502, 503, 504],
+};
+
+/**
+ * Normalize the retry option into a full retry policy object.
+ * @function getRetryPolicy
+ * @param {boolean|number|object} [retry] true to use the default policy, number of max attempts, or a partial policy object
+ * @param {String} [method] HTTP method of the request, defaults to GET like window.fetch
+ * @returns {object} Retry policy, or nothing if the request should not be retried
+ */
+export default function getRetryPolicy(retry, method = "GET") {
+  if (!retry) return;
+
+  let retryPolicy;
+  if (retry === true) retryPolicy = defaultRetryPolicy;
+  else if (typeof retry === "number")
+    retryPolicy = { ...defaultRetryPolicy, maxAttempts: retry };
+  else retryPolicy = { ...defaultRetryPolicy, ...retry };
+
+  if (retryPolicy.methods.includes(method.toUpperCase())) return retryPolicy;
+}
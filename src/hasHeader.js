@@ -0,0 +1,14 @@
+/**
+ * Check if a header is set on a plain headers object, as header names are case insensitive
+ * @function hasHeader
+ * @param {object} [headers] Headers object of the init object
+ * @param {String} name Name of the header
+ * @returns {boolean}
+ */
+export default function hasHeader(headers = {}, name) {
+  const lowerCaseName = name.toLowerCase();
+  return Object.keys(headers).some(
+    (header) =>
+      header.toLowerCase() === lowerCaseName && headers[header] !== undefined
+  );
+}
@@ -1,16 +1,84 @@
 /**
  * Module that extends the browser fetch method to interact with backend with firebase auth tokens
+ * Can also be used in Node.js, SSR frameworks and web workers, with the global fetch or an injected fetch implementation
  * @author JJ
  */
 
-// Throws an error and prevent module from being used if fetch is not available
-if (!window.fetch) throw new Error("FETCH API NOT AVAILABLE ON BROWSER");
-
-import deepmerge from "deepmerge";
-
+import mergeInit from "./mergeInit";
 import getParsedResponse from "./getParsedResponse";
 import getAuthHeader from "./getAuthHeader";
 import defaultErrorHandler from "./defaultErrorHandler";
+import getRetryPolicy from "./getRetryPolicy";
+import getRetryDelay from "./getRetryDelay";
+import sleep from "./sleep";
+import resolveInit from "./resolveInit";
+import getFetchInit from "./getFetchInit";
+import serializeBody from "./serializeBody";
+import defaultSerializers from "./defaultSerializers";
+import trackDownloadProgress from "./trackDownloadProgress";
+import xhrFetch from "./xhrFetch";
+import buildUrl from "./buildUrl";
+import ResponseCache from "./ResponseCache";
+import createAppCheck from "./createAppCheck";
+import isTrustedOrigin from "./isTrustedOrigin";
+import hasHeader from "./hasHeader";
+import OfflineQueue, { isOffline } from "./OfflineQueue";
+import createIdempotencyKey from "./createIdempotencyKey";
+import { indexedDBStorage, memoryStorage } from "./offlineStorage";
+import { registerClient, getClient } from "./registry";
+import EventEmitter from "./EventEmitter";
+import openTelemetry from "./openTelemetry";
+import { jsonSchema, parseSchema, getValidator } from "./validators";
+import {
+  getAuthProvider,
+  firebaseModularAuth,
+  firebaseNamespacedAuth,
+  tokenAuth,
+} from "./authProviders";
+import {
+  TimeoutError,
+  HttpError,
+  BadRequestError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ServerError,
+  AppCheckError,
+  UnauthenticatedError,
+  RequestQueuedError,
+  ResponseValidationError,
+  createHttpError,
+} from "./errors";
+
+export {
+  TimeoutError,
+  HttpError,
+  BadRequestError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ServerError,
+  AppCheckError,
+  UnauthenticatedError,
+  RequestQueuedError,
+  ResponseValidationError,
+  firebaseModularAuth,
+  firebaseNamespacedAuth,
+  tokenAuth,
+  registerClient,
+  getClient,
+  indexedDBStorage,
+  memoryStorage,
+  openTelemetry,
+  jsonSchema,
+  parseSchema,
+};
+
+// Methods that can be queued with the "offline" option, as only requests that change data need to be sent later
+const queueableMethods = ["POST", "PUT", "PATCH", "DELETE"];
+
+// Number of requests sent by every instance, so that request IDs are unique across instances sharing listeners through extend()
+let requestCount = 0;
 
 /**
  * Suggestion: import package as "api" to avoid name collision with window.fetch
@@ -25,19 +93,88 @@ import defaultErrorHandler from "./defaultErrorHandler";
  * api.get(url)
  * api.modify(custom request object).get(url)
  * api.post(url, data)
+ * api.head(url)
+ * api.request({ method: "POST", url, data, query })
+ *
+ * @example
+ * // Retry network failures and 5xx responses of idempotent requests
+ * const api = new fetch(firebase.auth, apiUrl, undefined, { retry: { maxAttempts: 5 } });
+ * api.modify({ retry: false }).get(url)
+ *
+ * @example
+ * // Path parameters and query strings, with an optional init object as the last argument
+ * api.get("/users/:id/posts", { params: { id }, query: { page: 2, tags: ["a", "b"] } })
+ * api.post("/users/:id/posts", data, { params: { id } })
+ *
+ * @example
+ * // Modular firebase SDK (v9 and later), or any auth provider from authProviders
+ * import { getAuth } from "firebase/auth";
+ * const api = new fetch(getAuth(), apiUrl);
+ * const api = new fetch(tokenAuth(() => getEmulatorToken()), apiUrl);
+ *
+ * @example
+ * // Server side, with a custom token source and fetch implementation
+ * const api = new fetch(tokenAuth(() => getServiceAccountToken()), apiUrl, undefined, { fetch: undiciFetch });
+ *
+ * @example
+ * // Independent clients for other backends, inheriting the parent's options and interceptors
+ * const billing = registerClient("billing", api.extend({ baseUrl: billingApiUrl }));
+ * getClient("billing").get(url)
+ *
+ * @example
+ * // Queue mutating requests while offline and send them once back online
+ * const api = new fetch(firebase.auth, apiUrl, errorHandler, { offline: true });
+ * api.offlineQueue.on("replayed", ({ request, response }) => markAsSynced(request));
+ *
+ * @example
+ * // Request metrics, and tracing with a traceparent header
+ * api.on("request:end", ({ method, urlTemplate, status, duration }) => metrics.record(method, urlTemplate, status, duration));
+ * openTelemetry(api, { tracer: trace.getTracer("web") });
+ *
+ * @example
+ * // Validate the response body, with a parse/safeParse style schema (e.g. zod) or a compiled JSON Schema
+ * api.get("/users/:id", { params: { id }, schema: z.object({ id: z.string() }) })
+ * api.modify({ schema: ajv.compile(userSchema) }).get(url)
  */
 export default class fetch {
   /**
-   * @param {function} firebaseAuth The same firebase auth function that ran initializeApp()
+   * @param {function|object} auth The same firebase auth function that ran initializeApp() (namespaced SDK),
+   * the auth instance from getAuth() (modular SDK) or an auth provider with getToken and onChange, see authProviders
    * @param {string} apiUrl Base API URL
    * @param {function} [errorHandler] Error handling function for when the fetch failed
+   * @param {object} [options] Library options
+   * @param {boolean|number|object} [options.retry] Default retry policy, see getRetryPolicy
+   * @param {boolean} [options.refreshTokenOn401] Force refresh the ID token and replay a request once if it got a 401, defaults to true
+   * @param {function} [options.onUnauthorized] Called with the response if the request is still unauthorized after the replay, e.g. to sign the user out
+   * @param {Number} [options.timeout] Default timeout in milliseconds for every request, no timeout if not set
+   * @param {boolean} [options.throwHttpErrors] Pass non 2xx responses to the error handler as a HttpError, defaults to false
+   * @param {String} [options.responseMode] Shape of the result, either "spread" (default) or "envelope", see _format
+   * @param {Array<object>} [options.serializers] Custom request body serializers, checked before the default serializers, see addSerializer
+   * @param {function} [options.onUploadProgress] Called with { loaded, total } bytes while uploading the request body, sends the request with XMLHttpRequest
+   * @param {function} [options.onDownloadProgress] Called with { loaded, total } bytes while downloading the response body, see trackDownloadProgress
+   * @param {String} [options.queryArrayFormat] How arrays in the "query" option are serialized, "repeat" (default), "brackets", "indices" or "comma", see buildUrl
+   * @param {boolean|object} [options.responseCache] Cache GET responses in memory, true to use the defaults or { ttl, staleWhileRevalidate, maxEntries }, see _sendCached
+   * @param {boolean} [options.dedupe] Share the pending request and result between identical GET requests, defaults to true, see _dedupe
+   * @param {object} [options.appCheck] Attach a Firebase App Check token to every request, with the App Check instance and options, see createAppCheck
+   * @param {String} [options.auth] Auth mode of requests, "optional" (default), "required" or "none", see _getAuthHeader
+   * @param {Array<String>} [options.trustedOrigins] Origins other than the base API URL's origin that ID tokens can be sent to
+   * @param {boolean|Number} [options.waitForAuth] Wait for the auth state to be restored before the first request, true to wait up to 5 seconds or the timeout in milliseconds, see _waitForAuth
+   * @param {object} [options.headers] Headers sent with every request, which can be overridden per request
+   * @param {function} [options.fetch] Fetch implementation to use instead of the global fetch, e.g. from undici or a mock
+   * @param {boolean|object} [options.offline] Queue POST, PUT, PATCH and DELETE requests that fail while offline and replay them
+   * once back online, true to use the defaults or { storage, name, idempotencyHeader, timeout, maxAttempts, retryDelay }, see OfflineQueue
+   * @param {object|function} [options.schema] Validate successful response bodies, with a parse/safeParse style schema or a compiled JSON Schema, see validators
+   * @param {function} [options.validate] Validate successful response bodies with a function that returns the body or throws, see validators
+   * @param {String} [options.responseType] Force the body to be read as "json", "text", "blob", "arrayBuffer", "formData", "stream" or "raw", see getParsedResponse
    */
-  constructor(firebaseAuth, apiUrl, errorHandler) {
-    if (!firebaseAuth)
-      throw new Error("Firebase Auth is required for this to work");
+  constructor(auth, apiUrl, errorHandler, options = {}) {
+    if (!auth)
+      throw new Error(
+        "Firebase Auth or an auth provider is required for this to work"
+      );
 
-    // Internal firebase auth instance that must be set to share the same auth instance between this library and your app
-    this._firebaseAuth = firebaseAuth;
+    // Internal auth provider that must share the same firebase auth instance between this library and your app
+    this._auth = getAuthProvider(auth);
 
     // Set the module's internal base api URL
     this._apiUrl = apiUrl;
@@ -46,17 +183,54 @@ export default class fetch {
     if (errorHandler) this._errorHandler = errorHandler;
     else this._errorHandler = defaultErrorHandler;
 
+    // Library options, which can be overridden per request by setting the same option on the init object
+    this._config = {
+      refreshTokenOn401: true,
+      throwHttpErrors: false,
+      dedupe: true,
+      auth: "optional",
+      waitForAuth: false,
+      ...options,
+    };
+
+    // Request body serializers, where the first serializer that can handle the data is used
+    this._serializers = [...(options.serializers || []), ...defaultSerializers];
+
+    // Interceptors added with use(), ran in the order they are added
+    this._interceptors = [];
+
+    // In memory cache of GET responses, only used for requests with the "responseCache" option
+    this._cache = new ResponseCache(
+      options.responseCache && options.responseCache.maxEntries
+    );
+
+    // App Check integration, only if App Check is used
+    if (options.appCheck) this._appCheck = createAppCheck(options.appCheck);
+
+    // Pending deduplicated requests, see _dedupe
+    this._pending = new Map();
+
+    // Abort controllers of every pending request, used by abortAll()
+    this._controllers = new Set();
+
+    // Request lifecycle events, see on()
+    this._events = new EventEmitter();
+
     // Empty factory function calls to use default empty object
-    this.get = this._get();
-    this.post = this._post();
-    this.patch = this._patch();
-    this.put = this._put();
-    this.delete = this._delete();
+    Object.assign(this, this._methods());
+
+    // Created last, as the queue can start replaying requests persisted in a previous session right away
+    if (options.offline)
+      this.offlineQueue = new OfflineQueue(
+        this,
+        options.offline === true ? {} : options.offline
+      );
   }
 
   /**
    * USE WITH CAUTION. If you set a new base URL, this will affect every other call out there.
    * --- Experimental --- Might be removed in future versions. DO NOT depend on this
+   * @deprecated Use extend({ baseUrl }) to create a separate client for another base URL instead
    * @param {string} apiUrl Base API URL
    */
   __setBaseUrl(apiUrl) {
@@ -64,181 +238,1045 @@ export default class fetch {
     this._apiUrl = apiUrl;
   }
 
+  /**
+   * Get a library option for a request, where the option set on the init object overrides the instance's option
+   * @function _getOption
+   * @param {object} init Request object with library specific options
+   * @param {String} option Name of the option
+   */
+  _getOption(init, option) {
+    return init[option] === undefined ? this._config[option] : init[option];
+  }
+
+  /**
+   * Get the UID of the signed in user, used to keep cached and shared results separate for every user
+   * @function _getUid
+   * @returns {String} UID or an empty string if the user is not signed in
+   */
+  _getUid() {
+    return this._auth.getUid ? this._auth.getUid() : "";
+  }
+
+  /**
+   * Get the user a request is sent as, to keep cached and shared results separate for every user.
+   * The Authorization header is resolved like _send does, so that the auth mode and trusted origins are respected,
+   * e.g. requests with the "none" auth mode are never given the result of a request sent with an ID token.
+   * @function _getUserKey
+   * @param {String} url Full URL of the request
+   * @param {object} init Request object with library specific options
+   * @returns {String} UID of the user, an empty string if no ID token is sent, or nothing if an ID token is sent
+   * but the user cannot be identified, e.g. tokenAuth without getUid, in which case the result must not be shared
+   */
+  async _getUserKey(url, init) {
+    const authHeader = await this._getAuthHeader(url, init);
+    if (!authHeader) return "";
+
+    return this._getUid() || undefined;
+  }
+
+  /**
+   * Check if the request is queued when it fails because of a network failure or being offline, see the "offline" option
+   * @function _isQueueable
+   * @param {object} init Request object with library specific options
+   */
+  _isQueueable(init) {
+    return (
+      this.offlineQueue !== undefined &&
+      Boolean(this._getOption(init, "offline")) &&
+      queueableMethods.includes((init.method || "GET").toUpperCase())
+    );
+  }
+
+  /**
+   * Add a request that failed because of a network failure or being offline to the offline queue.
+   * The auth mode and trusted origin are resolved when queued, as the queue can be shared with extended clients.
+   * @function _enqueue
+   * @param {String} url Full URL of the request
+   * @param {object} init Request object with library specific options
+   * @param {TypeError} error The network error
+   * @returns {Error} RequestQueuedError, or the network error if the request cannot be queued
+   */
+  _enqueue(url, init, error) {
+    const trusted = isTrustedOrigin(
+      url,
+      this._apiUrl,
+      this._getOption(init, "trustedOrigins")
+    );
+
+    return this.offlineQueue.enqueue(
+      url,
+      {
+        ...init,
+        auth: trusted ? this._getOption(init, "auth") : "none",
+        trustedOrigins: [url],
+      },
+      error
+    );
+  }
+
+  /**
+   * Share the pending request of an identical request instead of sending it again, if the "dedupe" option is set.
+   * Requests with their own AbortSignal are never shared, as aborting one would abort all of them.
+   * Requests are only shared by the same user, see _getUserKey, so requests with the caller's own Authorization header
+   * or an ID token of an auth provider that cannot identify the user, e.g. forwarded user tokens on the server, are
+   * never shared. Neither are requests with their own validator or download progress callback, which cannot be
+   * compared, or whose result has a body that only one caller can read, i.e. the "envelope" response mode and the
+   * "raw" and "stream" response types. Every other option that changes the result is part of the key.
+   * Note that the callers share the same result object too.
+   * @function _dedupe
+   * @param {String} method HTTP method of the request
+   * @param {String} url path of the API
+   * @param {object} init Request object with library specific options
+   * @param {function} request Function to send the request if there is no identical pending request
+   * @returns {Promise} Promise of the result
+   */
+  async _dedupe(method, url, init, request) {
+    const responseType = this._getOption(init, "responseType");
+    if (
+      !this._getOption(init, "dedupe") ||
+      init.signal ||
+      hasHeader(init.headers, "Authorization") ||
+      init.schema !== undefined ||
+      init.validate !== undefined ||
+      init.onDownloadProgress !== undefined ||
+      this._getOption(init, "responseMode") === "envelope" ||
+      responseType === "raw" ||
+      responseType === "stream"
+    )
+      return request();
+
+    let userKey;
+    try {
+      await this._waitForAuth(init);
+      userKey = await this._getUserKey(
+        buildUrl(
+          this._apiUrl,
+          url,
+          init.params,
+          init.query,
+          this._getOption(init, "queryArrayFormat")
+        ),
+        init
+      );
+    } catch (_) {
+      // Requests that fail on auth are sent on their own, so that the error is passed to the error handler
+    }
+    if (userKey === undefined) return request();
+
+    const key = JSON.stringify([
+      userKey,
+      method,
+      url,
+      init.params,
+      init.query,
+      init.headers,
+      this._getOption(init, "auth"),
+      this._getOption(init, "trustedOrigins"),
+      this._getOption(init, "timeout"),
+      responseType,
+      this._getOption(init, "throwHttpErrors"),
+    ]);
+
+    if (!this._pending.has(key)) {
+      const pending = request();
+      this._pending.set(key, pending);
+
+      const remove = () => this._pending.delete(key);
+      pending.then(remove, remove);
+    }
+
+    return this._pending.get(key);
+  }
+
   /**
    * Inner fetch function used to prepend API base URL and parse the response
    * @function _fetch
-   * @param {String} url path of the API only, the base API will be prepended
-   * @param {object} init Request object required by fetch
+   * @param {String} url path of the API only, the base API will be prepended. Can have ":name" placeholders for the "params" option
+   * @param {object} init Request object required by fetch, with library specific options like "query" and "timeout"
    */
   async _fetch(url = "", init) {
+    // Context object shared by every interceptor of this request, see use()
+    const ctx = {
+      url,
+      init: mergeInit({ headers: this._config.headers || {} }, init),
+    };
+
+    // Controller that aborts the request on timeout, abortAll() or when the caller's own signal aborts
+    const controller = new AbortController();
+    const abort = () => controller.abort();
+    this._controllers.add(controller);
+
+    let requestUrl, signal, timeout, timeoutID;
+    let timedOut = false;
+
+    // Details of the request included in every lifecycle event, see on()
+    const info = {
+      id: ++requestCount,
+      method: (ctx.init.method || "GET").toUpperCase(),
+      url: undefined,
+      urlTemplate: url,
+      attempt: 0,
+      startTime: Date.now(),
+    };
+
     try {
-      // Call window fetch with prepended API URL and default request object
-      const response = await window.fetch(this._apiUrl + url, init);
+      for (const interceptor of this._interceptors)
+        if (interceptor.request) await interceptor.request(ctx);
+
+      // Built after the request interceptors, so that they can rewrite the path, params and query
+      requestUrl = buildUrl(
+        this._apiUrl,
+        ctx.url,
+        ctx.init.params,
+        ctx.init.query,
+        this._getOption(ctx.init, "queryArrayFormat")
+      );
+
+      // Sent with the first attempt too, as a request that seems to have failed could have reached the server.
+      // Only sent to trusted origins like the ID token, as other origins can fail the CORS preflight for the header.
+      const idempotencyHeader =
+        this.offlineQueue && this.offlineQueue.idempotencyHeader;
+      if (
+        this._isQueueable(ctx.init) &&
+        isTrustedOrigin(
+          requestUrl,
+          this._apiUrl,
+          this._getOption(ctx.init, "trustedOrigins")
+        ) &&
+        !hasHeader(ctx.init.headers, idempotencyHeader)
+      )
+        ctx.init.headers = {
+          ...ctx.init.headers,
+          [idempotencyHeader]: createIdempotencyKey(),
+        };
+
+      // Listeners can add headers to the request, e.g. for tracing, and check if its origin is trusted
+      // with this instance's own base URL, as extended instances share the same listeners
+      info.url = requestUrl;
+      this._events.emit("request:start", {
+        ...info,
+        headers: ctx.init.headers,
+        apiUrl: this._apiUrl,
+        trustedOrigins: this._getOption(ctx.init, "trustedOrigins"),
+      });
+
+      // Request interceptors can short circuit the request with a synthetic response
+      if (!ctx.response) {
+        signal = ctx.init.signal;
+        if (signal) {
+          if (signal.aborted) abort();
+          else signal.addEventListener("abort", abort);
+        }
+
+        // Auth initialisation is not part of the request's timeout
+        await this._waitForAuth(ctx.init);
+
+        timeout = this._getOption(ctx.init, "timeout");
+        if (timeout)
+          timeoutID = setTimeout(() => {
+            timedOut = true;
+            abort();
+          }, timeout);
+
+        const responseCache = this._getOption(ctx.init, "responseCache");
+        const queueable = this._isQueueable(ctx.init);
+        try {
+          // Requests are queued right away if the browser knows it is offline, without waiting for fetch to fail
+          if (queueable && isOffline())
+            throw new TypeError("Failed to fetch, the browser is offline");
+
+          // Requests with the caller's own Authorization header are not cached, as the user cannot be known from it
+          ctx.response =
+            responseCache &&
+            (ctx.init.method || "GET").toUpperCase() === "GET" &&
+            !hasHeader(ctx.init.headers, "Authorization")
+              ? await this._sendCached(
+                  requestUrl,
+                  ctx.init,
+                  controller.signal,
+                  responseCache === true ? {} : responseCache,
+                  info
+                )
+              : await this._send(requestUrl, ctx.init, controller.signal, info);
+        } catch (error) {
+          // fetch rejects with a TypeError on network failures, which are queued to be replayed once back online
+          if (queueable && error instanceof TypeError)
+            throw await this._enqueue(requestUrl, ctx.init, error);
+          throw error;
+        }
+
+        const onDownloadProgress = this._getOption(
+          ctx.init,
+          "onDownloadProgress"
+        );
+        if (onDownloadProgress)
+          ctx.response = trackDownloadProgress(
+            ctx.response,
+            onDownloadProgress
+          );
+      }
+
+      // Timeout covers reading the body too, as a hung backend can stop in the middle of the body
+      const parsedResponse = await getParsedResponse(
+        ctx.response,
+        this._getOption(ctx.init, "responseType")
+      );
 
-      const parsedResponse = await getParsedResponse(response);
+      if (!ctx.response.ok && this._getOption(ctx.init, "throwHttpErrors"))
+        throw createHttpError(ctx.response, parsedResponse.response, {
+          method: ctx.init.method,
+          url: requestUrl,
+        });
 
-      /* Return base on type of body data and include status code along side */
-      if (parsedResponse.json)
-        return { ...parsedResponse.response, statusCode: response.status };
-      else if (parsedResponse.string)
-        return { body: parsedResponse.response, statusCode: response.status };
-      else throw new Error("Invalid body type. Neither JSON nor String");
+      // Only successful responses are validated, as error responses have a different shape
+      if (ctx.response.ok)
+        parsedResponse.response = await this._validate(
+          ctx.init,
+          parsedResponse.response,
+          { method: ctx.init.method, url: requestUrl }
+        );
+
+      ctx.result = this._format(
+        ctx.response,
+        parsedResponse,
+        this._getOption(ctx.init, "responseMode")
+      );
+
+      for (const interceptor of this._interceptors)
+        if (interceptor.response) await interceptor.response(ctx);
+
+      const contentLength = ctx.response.headers.get("Content-Length");
+      this._events.emit("request:end", {
+        ...info,
+        status: ctx.response.status,
+        duration: Date.now() - info.startTime,
+        bytes: contentLength === null ? undefined : Number(contentLength),
+      });
+
+      return ctx.result;
     } catch (error) {
-      return this._errorHandler(error);
+      // Differentiate timeouts from the AbortError thrown by window.fetch when the caller aborts the request
+      ctx.error = timedOut ? new TimeoutError(timeout, requestUrl) : error;
+      ctx.result = undefined;
+
+      this._events.emit("request:error", {
+        ...info,
+        error: ctx.error,
+        status: ctx.response && ctx.response.status,
+        duration: Date.now() - info.startTime,
+      });
+
+      for (const interceptor of this._interceptors)
+        if (interceptor.error) {
+          try {
+            await interceptor.error(ctx);
+          } catch (interceptorError) {
+            // Error thrown by an error interceptor replaces the error, so that it still reaches the error handler
+            ctx.error = interceptorError;
+            ctx.result = undefined;
+            continue;
+          }
+
+          // Error interceptors can recover from the error by setting a result
+          if (ctx.result !== undefined) return ctx.result;
+        }
+
+      return this._errorHandler(ctx.error);
+    } finally {
+      clearTimeout(timeoutID);
+      if (signal) signal.removeEventListener("abort", abort);
+      this._controllers.delete(controller);
     }
   }
 
   /**
-   * GET curried function that takes a init object before an URL
+   * Validate the parsed response body with the "validate" option, or the validator of the "schema" option
+   * @function _validate
+   * @param {object} init Request object with library specific options
+   * @param {*} body Parsed response body
+   * @param {object} request Method and URL of the request, for the error
+   * @returns {*} Body returned by the validator, which can be transformed, or the body as it is if there is no validator
    */
-  _get(init = {}) {
-    // Arrow function to inherit "this", without using explicit "this" binding
-    return async (url) =>
-      this._fetch(
-        url,
-        deepmerge(
-          {
-            method: "GET",
-            headers: {
-              Authorization: await getAuthHeader(this._firebaseAuth),
-            },
-          },
-          init
-        )
+  async _validate(init, body, request) {
+    const schema = this._getOption(init, "schema");
+    const validate =
+      this._getOption(init, "validate") || (schema && getValidator(schema));
+    if (!validate) return body;
+
+    try {
+      return await validate(body);
+    } catch (error) {
+      if (error instanceof ResponseValidationError)
+        throw Object.assign(error, { request });
+
+      // Errors thrown by custom validate functions are issues of the whole body, unless they have a path
+      throw new ResponseValidationError(
+        [{ path: error.path || [], message: error.message }],
+        body,
+        request
       );
+    }
   }
 
   /**
-   * POST curried function that takes a init object before an URL and data
+   * Wait for the auth state to be restored if the "waitForAuth" option is set, as firebase has no current user
+   * right after the page loads until the persisted session is restored. Every request sent before that waits
+   * on the same promise, so they are released together once auth is ready or the timeout is reached.
+   * @function _waitForAuth
+   * @param {object} init Request object with library specific options
    */
-  _post(init = {}) {
-    // Arrow function to inherit "this", without using explicit "this" binding
-    return async (url, data) => {
-      if (data) init.body = JSON.stringify(data);
+  async _waitForAuth(init) {
+    const waitForAuth = this._getOption(init, "waitForAuth");
+    if (!waitForAuth || this._getOption(init, "auth") === "none") return;
 
-      return this._fetch(
+    if (!this._authReady) {
+      // Timer is cleared once auth is ready, so that it does not keep Node processes alive
+      const controller = new AbortController();
+
+      this._authReady = Promise.race([
+        this._auth.ready ? this._auth.ready() : undefined,
+        sleep(waitForAuth === true ? 5000 : waitForAuth, controller.signal),
+      ])
+        .catch(() => {
+          // Requests are sent without waiting if the auth state cannot be known
+        })
+        .finally(() => controller.abort());
+    }
+
+    return this._authReady;
+  }
+
+  /**
+   * Get the Authorization header for the request based on its "auth" mode.
+   * - "optional" (default): ID token is sent if the user is signed in.
+   * - "required": Fails with an UnauthenticatedError before any network request if there is no ID token to send.
+   * - "none": ID token is never sent, e.g. for public endpoints.
+   * ID token is only sent to the base API URL's origin or one of the "trustedOrigins".
+   * @function _getAuthHeader
+   * @param {String} url Full URL of the request
+   * @param {object} init Request object with library specific options
+   * @returns {String} Authorization header or nothing
+   */
+  async _getAuthHeader(url, init) {
+    const auth = this._getOption(init, "auth");
+    if (auth === "none") return;
+
+    if (
+      !isTrustedOrigin(
         url,
-        deepmerge(
-          {
-            method: "POST",
-            headers: {
-              "Content-Type": data ? "application/json" : undefined,
-              Authorization: await getAuthHeader(this._firebaseAuth),
-            },
-          },
-          init
-        )
-      );
-    };
+        this._apiUrl,
+        this._getOption(init, "trustedOrigins")
+      )
+    ) {
+      if (auth === "required")
+        throw new UnauthenticatedError(url, "its origin is not trusted");
+      return;
+    }
+
+    const authHeader = await getAuthHeader(this._auth);
+    if (!authHeader && auth === "required")
+      throw new UnauthenticatedError(url, "the user is not signed in");
+
+    return authHeader;
   }
 
   /**
-   * PATCH curried function that takes a init object before an URL and data
+   * Send the request with retries and token refresh, without parsing the response
+   * @function _send
+   * @param {String} url Full URL of the request
+   * @param {object} init Request object required by fetch, with library specific options like "retry" and "refreshTokenOn401"
+   * @param {AbortSignal} signal Signal to abort the request with
+   * @param {object} [info] Details of the request for the lifecycle events, which are only emitted if given
+   * @returns {Response} Response of the request
    */
-  _patch(init = {}) {
-    // Arrow function to inherit "this", without using explicit "this" binding
-    return async (url, data) => {
-      if (data) init.body = JSON.stringify(data);
+  async _send(url, init, signal, info) {
+    const headers = { ...init.headers };
+
+    // Authorization header set by the caller is used as it is
+    const attachAuthHeader = !hasHeader(headers, "Authorization");
+    if (attachAuthHeader)
+      headers.Authorization = await this._getAuthHeader(url, init);
 
-      return this._fetch(
+    // App Check token is sent along side the ID token, and is left out if it cannot be obtained unless failing closed.
+    // Only sent to the same trusted origins as ID tokens, but regardless of the auth mode as public endpoints use it too.
+    if (
+      this._appCheck &&
+      isTrustedOrigin(
         url,
-        deepmerge(
-          {
-            method: "PATCH",
-            headers: {
-              "Content-Type": data ? "application/json" : undefined,
-              Authorization: await getAuthHeader(this._firebaseAuth),
-            },
-          },
-          init
-        )
+        this._apiUrl,
+        this._getOption(init, "trustedOrigins")
+      )
+    )
+      headers[this._appCheck.headerName] = await this._appCheck.getToken();
+
+    const fetchInit = { ...getFetchInit({ ...init, headers }), signal };
+
+    const retryPolicy = getRetryPolicy(
+      this._getOption(init, "retry"),
+      fetchInit.method
+    );
+
+    const onUploadProgress = this._getOption(init, "onUploadProgress");
+
+    // Read on every request instead of on import, so that the module can be imported where fetch is not available
+    const fetchImplementation =
+      this._getOption(init, "fetch") || globalThis.fetch;
+    if (!fetchImplementation)
+      throw new Error(
+        "FETCH API NOT AVAILABLE, pass in a fetch implementation with the fetch option"
       );
-    };
+
+    // Only XMLHttpRequest can report upload progress, so it is used in place of fetch for these requests
+    const transport = onUploadProgress
+      ? (url, init) => xhrFetch(url, init, onUploadProgress)
+      : (url, init) => fetchImplementation(url, init);
+
+    // Sends the request with everything except the init object fixed, so that it can be replayed
+    const send = (init) =>
+      this._fetchWithRetry(transport, url, init, retryPolicy, info);
+
+    let response = await send(fetchInit);
+
+    // Only requests with an ID token are replayed, as a new token will not help if none was sent
+    if (
+      response.status === 401 &&
+      attachAuthHeader &&
+      fetchInit.headers.Authorization &&
+      this._getOption(init, "refreshTokenOn401")
+    )
+      response = await this._replayWithFreshToken(
+        send,
+        fetchInit,
+        response,
+        info
+      );
+
+    return response;
   }
 
   /**
-   * PUT curried function that takes a init object before an URL and data
+   * Send a GET request through the in memory response cache.
+   * - Within the TTL, the cached response is used without any network request.
+   * - Within the stale while revalidate window after the TTL, the stale cached response is used
+   *   while the request is sent in the background to update the cache.
+   * - After that, the request is sent with If-None-Match if the cached response had an ETag,
+   *   so that a 304 response can reuse the cached response.
+   * @function _sendCached
+   * @param {String} url Full URL of the request
+   * @param {object} init Request object required by fetch, with library specific options
+   * @param {AbortSignal} signal Signal to abort the request with
+   * @param {object} cacheOptions Options with ttl and staleWhileRevalidate in milliseconds
+   * @param {object} [info] Details of the request for the lifecycle events, see _send
+   * @returns {Response} Response from the cache or the network
    */
-  _put(init = {}) {
+  async _sendCached(url, init, signal, cacheOptions, info) {
+    // Clear the cache when the user signs in or out, so that no cached response outlives the session.
+    // Registered on first use, as the cache can be enabled per request.
+    if (!this._clearsCacheOnAuthChange) {
+      this._clearsCacheOnAuthChange = true;
+      this._auth.onChange(() => this._cache.clear());
+    }
+
+    // Cached per user, so that users never see each other's data. Requests that are not sent with an ID token are
+    // cached separately from the signed in user's, and requests that fail on auth, e.g. with the "required" auth mode
+    // while signed out, fail here without using the cache.
+    const userKey = await this._getUserKey(url, init);
+    if (userKey === undefined) return this._send(url, init, signal, info);
+    const key = `${userKey} ${url}`;
+
+    const entry = this._cache.get(key);
+    const now = Date.now();
+
+    if (entry && now < entry.expires) return entry.response.clone();
+
+    if (entry && now < entry.staleUntil) {
+      if (!entry.revalidating) {
+        entry.revalidating = true;
+
+        // Errors are ignored as the stale response is already used
+        this._revalidate(key, url, init, entry, cacheOptions).catch(() => {
+          entry.revalidating = false;
+        });
+      }
+
+      return entry.response.clone();
+    }
+
+    return this._revalidate(key, url, init, entry, cacheOptions, signal, info);
+  }
+
+  /**
+   * Send the request to update the cache entry, see _sendCached
+   * @function _revalidate
+   * @param {String} key Cache key
+   * @param {String} url Full URL of the request
+   * @param {object} init Request object required by fetch, with library specific options
+   * @param {object} [entry] Current cache entry
+   * @param {object} cacheOptions Options with ttl and staleWhileRevalidate in milliseconds
+   * @param {AbortSignal} [signal] Signal to abort the request with
+   * @param {object} [info] Details of the request for the lifecycle events, see _send
+   * @returns {Response} Response from the network, or the cached response if not modified
+   */
+  async _revalidate(key, url, init, entry, cacheOptions, signal, info) {
+    const { ttl = 60000, staleWhileRevalidate = 0 } = cacheOptions;
+
+    const response = await this._send(
+      url,
+      entry && entry.etag
+        ? { ...init, headers: { ...init.headers, "If-None-Match": entry.etag } }
+        : init,
+      signal,
+      info
+    );
+
+    const notModified = response.status === 304 && entry;
+    if (!notModified && !response.ok) {
+      if (entry) entry.revalidating = false;
+      return response;
+    }
+
+    // Keep an unread copy in the cache, which is cloned for every cache hit
+    const cachedResponse = notModified ? entry.response : response.clone();
+    const now = Date.now();
+    this._cache.set(key, {
+      url,
+      response: cachedResponse,
+      etag: cachedResponse.headers.get("ETag"),
+      expires: now + ttl,
+      staleUntil: now + ttl + staleWhileRevalidate,
+    });
+
+    return notModified ? cachedResponse.clone() : response;
+  }
+
+  /**
+   * Format the parsed response body based on the "responseMode" option.
+   * "spread" (default) spreads the parsed JSON into the result, or sets any other parsed body as body, and includes the status code.
+   * "envelope" wraps the body in an object with the response details, which works for any JSON value
+   * including arrays, primitives and payloads that have their own statusCode field.
+   * @function _format
+   * @param {Response} response
+   * @param {object} parsedResponse Parsed body from getParsedResponse
+   * @param {String} [responseMode] Either "spread" or "envelope"
+   * @returns {object} Result returned to the caller
+   */
+  _format(response, parsedResponse, responseMode = "spread") {
+    if (responseMode === "envelope") {
+      return {
+        data: parsedResponse.response,
+        status: response.status,
+        statusText: response.statusText,
+        headers: response.headers,
+        ok: response.ok,
+        url: response.url,
+        type: parsedResponse.type,
+        raw: response,
+      };
+    }
+
+    /* Return base on type of body data and include status code along side */
+    if (parsedResponse.type === "json")
+      return { ...parsedResponse.response, statusCode: response.status };
+    else return { body: parsedResponse.response, statusCode: response.status };
+  }
+
+  /**
+   * Call fetch, retrying network failures and retryable status codes based on the retry policy
+   * @function _fetchWithRetry
+   * @param {function} transport Function with the same signature as window.fetch to send the request with
+   * @param {String} url Full URL of the request
+   * @param {object} init Request object required by fetch
+   * @param {object} [retryPolicy] Retry policy from getRetryPolicy, requests are not retried if not given
+   * @param {object} [info] Details of the request for the lifecycle events, see _send
+   * @returns {Response} Response of the last attempt
+   */
+  async _fetchWithRetry(transport, url, init, retryPolicy, info) {
+    for (let attempt = 1; ; attempt++) {
+      const canRetry = retryPolicy && attempt < retryPolicy.maxAttempts;
+
+      // Counts every attempt of the request, including the replay after a 401
+      if (info) info.attempt++;
+
+      let response;
+      try {
+        response = await transport(url, init);
+      } catch (error) {
+        // window.fetch rejects with a TypeError on network failures, other errors like aborts are not retried
+        if (!canRetry || !(error instanceof TypeError)) throw error;
+
+        const delay = getRetryDelay(retryPolicy, attempt);
+        if (info) this._events.emit("retry", { ...info, delay, error });
+        await sleep(delay, init.signal);
+        continue;
+      }
+
+      if (!canRetry || !retryPolicy.statusCodes.includes(response.status))
+        return response;
+
+      // Body of the retried response is never read, so it is cancelled to free the connection, e.g. in undici
+      if (response.body) response.body.cancel().catch(() => {});
+
+      const delay = getRetryDelay(retryPolicy, attempt, response);
+      if (info)
+        this._events.emit("retry", { ...info, delay, status: response.status });
+      await sleep(delay, init.signal);
+    }
+  }
+
+  /**
+   * Replay a request that got a 401 exactly once, with a force refreshed ID token.
+   * Handles tokens revoked by the server, or treated as expired because of clock skew.
+   * @function _replayWithFreshToken
+   * @param {function} send Function to send the request with the given init object, see _send
+   * @param {object} init Request object that was used for the unauthorized request
+   * @param {Response} response The 401 response
+   * @param {object} [info] Details of the request for the lifecycle events, see _send
+   * @returns {Response} Response of the replayed request, or the original response if the token cannot be refreshed
+   */
+  async _replayWithFreshToken(send, init, response, info) {
+    let authHeader;
+    try {
+      authHeader = await getAuthHeader(this._auth, true);
+    } catch (_) {
+      // Token cannot be refreshed, e.g. when the user is disabled, which is handled the same as a failed replay
+    }
+
+    if (authHeader) {
+      if (info) this._events.emit("auth:token-refreshed", { ...info });
+
+      response = await send({
+        ...init,
+        headers: { ...init.headers, Authorization: authHeader },
+      });
+
+      if (response.status !== 401) return response;
+    }
+
+    if (this._config.onUnauthorized)
+      await this._config.onUnauthorized(response);
+    return response;
+  }
+
+  /**
+   * Request curried function that takes a init object (or a function returning one) before a request config.
+   * Every HTTP method is built on this, so they all have the same auth, merge and parsing behaviour.
+   * Only GET and HEAD requests are deduplicated, as other methods can have side effects.
+   *
+   * The request config is a init object for the request, with the additional properties:
+   * - url: path of the API or a full URL, which can have ":name" placeholders for the "params" option
+   * - data: data to serialize as the request body, see addSerializer
+   */
+  _request(init) {
     // Arrow function to inherit "this", without using explicit "this" binding
-    return async (url, data) => {
-      if (data) init.body = JSON.stringify(data);
+    return async ({ url, data, ...config } = {}) => {
+      // Merged into a new object, to avoid leaking the body into other requests sharing the same init object
+      const requestInit = mergeInit(await resolveInit(init), config);
+      const method = (requestInit.method || "GET").toUpperCase();
 
-      return this._fetch(
-        url,
-        deepmerge(
-          {
-            method: "PUT",
-            headers: {
-              "Content-Type": data ? "application/json" : undefined,
-              Authorization: await getAuthHeader(this._firebaseAuth),
-            },
-          },
-          init
-        )
-      );
+      const { body, contentType } = data
+        ? serializeBody(data, this._serializers)
+        : {};
+      if (data) requestInit.body = body;
+
+      const request = () =>
+        this._fetch(
+          url,
+          mergeInit(
+            { headers: { "Content-Type": contentType } },
+            { ...requestInit, method }
+          )
+        );
+
+      return method === "GET" || method === "HEAD"
+        ? this._dedupe(method, url, requestInit, request)
+        : request();
     };
   }
 
   /**
-   * DELETE curried function that takes a init object before an URL and data
+   * GET curried function that takes a init object (or a function returning one) before an URL
+   * and an optional init object for the request, e.g. with "params" and "query"
+   */
+  _get(init) {
+    const request = this._request(init);
+    return (url, options) => request({ ...options, url, method: "GET" });
+  }
+
+  /**
+   * HEAD curried function that takes a init object (or a function returning one) before an URL
+   * and an optional init object for the request, e.g. to check if a resource exists or get its Content-Length
+   */
+  _head(init) {
+    const request = this._request(init);
+    return (url, options) => request({ ...options, url, method: "HEAD" });
+  }
+
+  /**
+   * OPTIONS curried function that takes a init object (or a function returning one) before an URL
+   * and an optional init object for the request
+   */
+  _options(init) {
+    const request = this._request(init);
+    return (url, options) => request({ ...options, url, method: "OPTIONS" });
+  }
+
+  /**
+   * POST curried function that takes a init object (or a function returning one) before an URL and data
+   * and an optional init object for the request, e.g. with "params" and "query"
+   */
+  _post(init) {
+    const request = this._request(init);
+    return (url, data, options) =>
+      request({ ...options, url, data, method: "POST" });
+  }
+
+  /**
+   * PATCH curried function that takes a init object (or a function returning one) before an URL and data
+   * and an optional init object for the request, e.g. with "params" and "query"
+   */
+  _patch(init) {
+    const request = this._request(init);
+    return (url, data, options) =>
+      request({ ...options, url, data, method: "PATCH" });
+  }
+
+  /**
+   * PUT curried function that takes a init object (or a function returning one) before an URL and data
+   * and an optional init object for the request, e.g. with "params" and "query"
+   */
+  _put(init) {
+    const request = this._request(init);
+    return (url, data, options) =>
+      request({ ...options, url, data, method: "PUT" });
+  }
+
+  /**
+   * DELETE curried function that takes a init object (or a function returning one) before an URL and data
+   * and an optional init object for the request, e.g. with "params" and "query"
    * It is not recommended to include a request message body even though you are able to
    */
-  _delete(init = {}) {
-    // Arrow function to inherit "this", without using explicit "this" binding
-    return async (url, data) => {
-      if (data) init.body = JSON.stringify(data);
+  _delete(init) {
+    const request = this._request(init);
+    return (url, data, options) =>
+      request({ ...options, url, data, method: "DELETE" });
+  }
 
-      return this._fetch(
-        url,
-        deepmerge(
-          {
-            method: "DELETE",
-            headers: {
-              "Content-Type": data ? "application/json" : undefined,
-              Authorization: await getAuthHeader(this._firebaseAuth),
-            },
-          },
-          init
-        )
-      );
+  /**
+   * Create every HTTP method with the same init object partially applied
+   * @function _methods
+   * @param {object|function} [init] Request object for fetch, or a sync/async function returning one
+   * @returns {object} Object with the request method and a method for every HTTP verb
+   */
+  _methods(init) {
+    return {
+      request: this._request(init),
+      get: this._get(init),
+      head: this._head(init),
+      options: this._options(init),
+      post: this._post(init),
+      patch: this._patch(init),
+      put: this._put(init),
+      delete: this._delete(init),
+    };
+  }
+
+  /**
+   * Create a new independent client that inherits this client's options, serializers and interceptors,
+   * e.g. for another backend. Changes to either client after this do not affect the other.
+   * @param {object} [config] Any constructor option to override, merged with this client's options, and
+   * @param {String} [config.baseUrl] Base API URL of the new client, defaults to this client's
+   * @param {function|object} [config.authProvider] Auth for the new client, defaults to this client's, see constructor
+   * @param {function} [config.errorHandler] Error handler of the new client, defaults to this client's
+   * @returns {object} New client
+   *
+   * @example
+   * const functions = api.extend({
+   *   baseUrl: functionsUrl,
+   *   headers: { "X-Tenant": tenantID },
+   *   auth: "required",
+   * });
+   */
+  extend({ baseUrl, authProvider, errorHandler, ...options } = {}) {
+    const config = mergeInit(this._config, options);
+
+    // Share the offline queue unless the new client has its own offline options, or sends requests differently,
+    // as the queue replays every request with this client's auth provider, fetch implementation and App Check
+    const shareOfflineQueue =
+      this.offlineQueue !== undefined &&
+      options.offline === undefined &&
+      authProvider === undefined &&
+      options.fetch === undefined &&
+      options.appCheck === undefined;
+
+    // Own offline options replace this client's instead of being merged, and a queue of its own never inherits
+    // this client's storage or name, as two queues on the same storage would replay the same requests twice
+    if (options.offline !== undefined) config.offline = options.offline;
+    else if (!shareOfflineQueue && typeof config.offline === "object")
+      config.offline = {
+        ...config.offline,
+        storage: undefined,
+        name: undefined,
+      };
+
+    const client = new this.constructor(
+      authProvider || this._auth,
+      baseUrl === undefined ? this._apiUrl : baseUrl,
+      errorHandler || this._errorHandler,
+      shareOfflineQueue ? { ...config, offline: false } : config
+    );
+
+    if (shareOfflineQueue) {
+      client.offlineQueue = this.offlineQueue;
+      client._config.offline = config.offline;
+    }
+
+    // Copy so that adding to either client later does not affect the other
+    client._serializers = [
+      ...(options.serializers || []),
+      ...this._serializers,
+    ];
+    client._interceptors = [...this._interceptors];
+    Object.assign(client._events._listeners, this._events._listeners);
+
+    // Share the cached App Check token, unless the new client has its own App Check options
+    if (this._appCheck && !options.appCheck) client._appCheck = this._appCheck;
+
+    return client;
+  }
+
+  /**
+   * Add an interceptor to the end of the chain, every interceptor method is optional and can be async.
+   * All of them receive the same ctx object, containing the url and init object of the request.
+   * - request(ctx): Runs before the request is sent. Rewrite ctx.url or ctx.init (headers, body, ...),
+   *   or set ctx.response to a synthetic Response to skip the network call.
+   *   The Authorization and App Check headers are only added after the request interceptors.
+   * - response(ctx): Runs after the response is parsed. Read ctx.response and transform or replace ctx.result.
+   * - error(ctx): Runs when the request or another interceptor failed. Replace ctx.error,
+   *   or set ctx.result to recover from the error instead of passing it to the error handler.
+   *   An error thrown by an error interceptor replaces ctx.error, and the remaining error interceptors still run.
+   * @param {object} interceptor Object with the optional request, response and error interceptor methods
+   * @returns {function} Function to remove the interceptor
+   *
+   * @example
+   * api.use({
+   *   request(ctx) {
+   *     ctx.init.headers["X-App-Version"] = appVersion;
+   *   },
+   * });
+   */
+  use(interceptor) {
+    this._interceptors.push(interceptor);
+
+    return () => {
+      this._interceptors = this._interceptors.filter((i) => i !== interceptor);
     };
   }
 
+  /**
+   * Listen to the request lifecycle events of this instance, e.g. for metrics and tracing.
+   * Every event's payload has the request's id, method, full url, urlTemplate (path before the
+   * "params" are filled in, e.g. "/users/:id"), attempt (number of attempts sent so far) and startTime.
+   * - request:start: Before the request is sent, with the headers object which listeners can add headers to,
+   *   and the instance's apiUrl and trustedOrigins to only add them for trusted origins, see isTrustedOrigin
+   * - request:end: After the response is parsed, with the status, duration in milliseconds and bytes from Content-Length
+   * - request:error: When the request failed, with the error, duration and status if there was a response
+   * - retry: Before waiting to retry, with the delay in milliseconds and either the status or network error
+   * - auth:token-refreshed: After the ID token is force refreshed to replay a 401 response
+   * Errors thrown by listeners never fail the request, see EventEmitter.
+   * @param {String} event Name of the event
+   * @param {function} listener Called with the event's payload
+   * @returns {function} Function to remove the listener
+   *
+   * @example
+   * api.on("request:end", ({ method, urlTemplate, status, duration }) => {
+   *   metrics.histogram("api.latency", duration, { method, urlTemplate, status });
+   * });
+   */
+  on(event, listener) {
+    return this._events.on(event, listener);
+  }
+
+  /**
+   * Remove a listener added with on()
+   * @param {String} event Name of the event
+   * @param {function} listener
+   * @returns {object} Same API object to chain methods
+   */
+  off(event, listener) {
+    this._events.off(event, listener);
+    return this;
+  }
+
+  /**
+   * Add a request body serializer for a custom format, which is checked before every other serializer.
+   * Data that is FormData, URLSearchParams, Blob, File or ArrayBuffer is sent as it is by default,
+   * and everything else is sent as JSON.
+   * @param {object} serializer Object with a test(data) method that returns true if it can serialize the data,
+   * and a serialize(data) method that returns the body and optionally the Content-Type header as contentType.
+   * @returns {object} Same API object to chain methods
+   *
+   * @example
+   * api.addSerializer({
+   *   test: (data) => data instanceof CsvFile,
+   *   serialize: (data) => ({ body: data.toString(), contentType: "text/csv" }),
+   * });
+   */
+  addSerializer(serializer) {
+    this._serializers.unshift(serializer);
+    return this;
+  }
+
+  /**
+   * Remove cached GET responses of the "responseCache" option for every user.
+   * The cache is also cleared automatically when the firebase auth state changes.
+   * @param {String} [url] Path or URL with the query string if any, clears the whole cache if not given
+   * @param {boolean} [prefix] Remove every cached URL starting with the given URL instead of only an exact match
+   * @returns {object} Same API object to chain methods
+   *
+   * @example
+   * api.invalidateCache("/users/1")
+   * api.invalidateCache("/users", true)
+   */
+  invalidateCache(url, prefix = false) {
+    if (url === undefined) this._cache.clear();
+    else this._cache.invalidate(buildUrl(this._apiUrl, url), prefix);
+
+    return this;
+  }
+
+  /**
+   * Abort every pending request of this instance, e.g. when the route that made them unmounts.
+   * The aborted requests are passed to the error handler with the "AbortError" from window.fetch.
+   */
+  abortAll() {
+    for (const controller of this._controllers) controller.abort();
+  }
+
   /**
    * Function to modify init object only once before making a new request
-   * @param {object} init Request object for fetch
+   * @param {object|function} init Request object for fetch, or a sync/async function returning one that is called on every request
    * @returns {object} Same API object with custom request object partially applied.
    *
    * @example
    * api.modify(custom request object).post(url, data)
+   * api.modify(() => ({ headers: { "Accept-Language": getLocale() } })).get(url)
    */
   modify(init) {
     // Return the http methods to chain it and make a request
-    return {
-      get: this._get(init),
-      post: this._post(init),
-      patch: this._get(init),
-      put: this._post(init),
-      delete: this._post(init),
-    };
+    return this._methods(init);
   }
 
   /**
    * USE WITH CAUTION
    * Function to modify init objects permanently for ALL methods
-   * @param {object} init Request object for fetch
+   * @param {object|function} init Request object for fetch, or a sync/async function returning one that is called on every request
    * @returns {object} Same object with updated methods with new custom request object partially applied.
    *
    * @example
    * api.modifyPermanently(custom request object).post(url, data)
    */
   modifyPermanently(init) {
-    this.get = this._get(init);
-    this.post = this._post(init);
-    this.patch = this._get(init);
-    this.put = this._post(init);
-    this.delete = this._post(init);
+    Object.assign(this, this._methods(init));
 
     // Return object to allow caller to chain this method
     return this;
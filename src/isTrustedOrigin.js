@@ -0,0 +1,33 @@
+/**
+ * Get the origin of the URL, with relative URLs resolved against the current page if any
+ * @param {String} url
+ * @returns {String} Origin, or nothing if the URL cannot be resolved
+ */
+function getOrigin(url) {
+  try {
+    return new URL(
+      url,
+      typeof location === "undefined" ? undefined : location.href
+    ).origin;
+  } catch (_) {
+    return;
+  }
+}
+
+/**
+ * Check if ID tokens can be sent to the URL, which is only if it has the same origin as the
+ * base API URL or one of the trusted origins, so that tokens are never leaked to third parties
+ * @function isTrustedOrigin
+ * @param {String} url Full URL of the request
+ * @param {String} apiUrl Base API URL
+ * @param {Array<String>} [trustedOrigins] Other trusted origins, e.g. "https://billing.example.com"
+ * @returns {boolean}
+ */
+export default function isTrustedOrigin(url, apiUrl, trustedOrigins = []) {
+  const origin = getOrigin(url);
+
+  return (
+    origin === getOrigin(apiUrl) ||
+    trustedOrigins.some((trustedOrigin) => getOrigin(trustedOrigin) === origin)
+  );
+}
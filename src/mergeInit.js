@@ -0,0 +1,27 @@
+import deepmerge from "deepmerge";
+
+// Only merge plain objects, so that values like AbortSignal, FormData or Blob are passed along as they are
+function isPlainObject(value) {
+  if (Object.prototype.toString.call(value) !== "[object Object]") return false;
+
+  const prototype = Object.getPrototypeOf(value);
+  return prototype === Object.prototype || prototype === null;
+}
+
+// Arrays from the later init object replace the earlier ones instead of being concatenated,
+// so that e.g. an extended client can narrow the parent's trustedOrigins or retry.statusCodes
+const overwriteArray = (target, source) => source;
+
+/**
+ * Deep merge init objects, with values from the later init object taking precedence
+ * @function mergeInit
+ * @param {object} target Init object with the default values
+ * @param {object} source Init object to merge into the defaults
+ * @returns {object} New merged init object
+ */
+export default function mergeInit(target, source) {
+  return deepmerge(target, source, {
+    isMergeableObject: isPlainObject,
+    arrayMerge: overwriteArray,
+  });
+}
@@ -0,0 +1,268 @@
+/**
+ * Escape a string to be used as is in a RegExp
+ * @param {String} string
+ */
+function escapeRegExp(string) {
+  return string.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Match an URL against a route pattern
+ * @function matchUrl
+ * @param {String|RegExp} pattern Path like "/users/:id" or "/files/*", an absolute URL pattern, or a RegExp tested against the full URL
+ * @param {URL} url URL of the request
+ * @returns {object} Path parameters if matched, else nothing
+ */
+function matchUrl(pattern, url) {
+  if (pattern instanceof RegExp) {
+    const match = pattern.exec(url.href);
+    return match ? { ...match.groups } : undefined;
+  }
+
+  // Absolute patterns are matched against the origin too, query strings are never part of the match
+  const target = /^[a-z][a-z\d+.-]*:\/\//i.test(pattern)
+    ? url.origin + url.pathname
+    : url.pathname;
+
+  const names = [];
+  const source = pattern
+    .split(/(:[A-Za-z_]\w*|\*)/)
+    .map((part, i) => {
+      if (i % 2 === 0) return escapeRegExp(part);
+      if (part === "*") return ".*";
+
+      names.push(part.slice(1));
+      return "([^/]+)";
+    })
+    .join("");
+
+  const match = new RegExp(`^${source}/?$`).exec(target);
+  if (!match) return;
+
+  const params = {};
+  names.forEach((name, i) => (params[name] = decodeURIComponent(match[i + 1])));
+  return params;
+}
+
+/**
+ * Create a Response from a response spec
+ * @function toResponse
+ * @param {object|Response} spec Response spec with status, statusText, headers and one of json, text or body
+ * @returns {Response}
+ */
+function toResponse(spec) {
+  // Cloned, so that a route with a Response can be called more than once
+  if (spec instanceof Response) return spec.clone();
+
+  const { status = 200, statusText, headers = {}, json, text, body } = spec;
+
+  if (json !== undefined)
+    return new Response(JSON.stringify(json), {
+      status,
+      statusText,
+      headers: { "Content-Type": "application/json", ...headers },
+    });
+
+  if (text !== undefined)
+    return new Response(text, {
+      status,
+      statusText,
+      headers: { "Content-Type": "text/plain", ...headers },
+    });
+
+  return new Response(body === undefined ? null : body, {
+    status,
+    statusText,
+    headers,
+  });
+}
+
+/**
+ * Same error as the one window.fetch rejects with when the request is aborted
+ * @function abortError
+ */
+function abortError() {
+  return new DOMException("The user aborted a request.", "AbortError");
+}
+
+/**
+ * Wait for the delay like a slow network, rejecting with an AbortError if the request is aborted first
+ * @function wait
+ * @param {Number} delay Delay in milliseconds
+ * @param {AbortSignal} [signal]
+ */
+function wait(delay, signal) {
+  return new Promise((resolve, reject) => {
+    const abort = () => {
+      clearTimeout(timeoutID);
+      reject(abortError());
+    };
+
+    const timeoutID = setTimeout(() => {
+      if (signal) signal.removeEventListener("abort", abort);
+      resolve();
+    }, delay);
+
+    if (signal) {
+      if (signal.aborted) abort();
+      else signal.addEventListener("abort", abort);
+    }
+  });
+}
+
+/**
+ * Record of a request sent to the mock fetch function
+ * @function toCall
+ */
+function toCall(url, init, params) {
+  const headers = {};
+  new Headers(init.headers).forEach((value, name) => (headers[name] = value));
+
+  let data;
+  try {
+    data = typeof init.body === "string" ? JSON.parse(init.body) : undefined;
+  } catch (_) {
+    // Body is not JSON
+  }
+
+  const query = {};
+  url.searchParams.forEach((value, name) => (query[name] = value));
+
+  return {
+    method: (init.method || "GET").toUpperCase(),
+    url: url.href,
+    path: url.pathname,
+    query,
+    params,
+    headers,
+    authorization: headers.authorization,
+    body: init.body,
+    data,
+  };
+}
+
+/**
+ * Create a mock fetch function for testing code that uses the library, passed to the library with the "fetch" option.
+ * Routes are matched by method and URL pattern, with routes added later taking precedence over earlier ones.
+ * Requests without a matching route reject with an error, so that unexpected requests fail the test.
+ * Note that requests with the "onUploadProgress" option are sent with XMLHttpRequest instead of fetch.
+ *
+ * A route's response is a response spec, a Response, or a sync/async function called with the recorded call that returns either.
+ * Response specs can have:
+ * - status, statusText and headers: Defaults to 200 and no headers
+ * - json, text or body: JSON body, text body, or a raw body like a Blob
+ * - delay: Milliseconds to wait before responding, which can be aborted or timed out
+ * - networkError: Reject with a TypeError like fetch does on network failures
+ * @function createMock
+ * @returns {object} Mock with the fetch function, route methods and the recorded calls
+ *
+ * @example
+ * const mock = createMock();
+ * mock.get("/users/:id", ({ params }) => ({ json: { id: params.id } }));
+ * mock.post("/users", { status: 201, json: { id: "1" }, delay: 100 });
+ * mock.delete("/users/:id", { networkError: true });
+ *
+ * const api = new fetch(fakeAuth({ uid: "alice" }), "https://api.example.com", undefined, { fetch: mock.fetch });
+ * await api.get("/users/1");
+ * mock.calls[0].authorization; // "Bearer token-alice"
+ */
+export default function createMock() {
+  let routes = [];
+
+  const mock = {
+    // Every request sent, including the failed ones, in the order they were sent
+    calls: [],
+
+    /**
+     * Add a route
+     * @param {String} method HTTP method, or "*" for any method
+     * @param {String|RegExp} pattern URL pattern, see matchUrl
+     * @param {object|Response|function} response Response spec, Response or a function returning either
+     * @returns {object} Same mock object to chain methods
+     */
+    route(method, pattern, response) {
+      routes.unshift({ method: method.toUpperCase(), pattern, response });
+      return mock;
+    },
+
+    /**
+     * Remove every route and recorded call
+     * @returns {object} Same mock object to chain methods
+     */
+    reset() {
+      routes = [];
+      mock.calls.length = 0;
+      return mock;
+    },
+
+    /**
+     * Get the recorded calls of a method and URL pattern
+     * @param {String} [method] HTTP method, or "*" for any method
+     * @param {String|RegExp} [pattern] URL pattern, see matchUrl
+     * @returns {Array<object>} Matching calls
+     */
+    callsTo(method = "*", pattern = "*") {
+      return mock.calls.filter(
+        (call) =>
+          (method === "*" || call.method === method.toUpperCase()) &&
+          matchUrl(pattern, new URL(call.url)) !== undefined
+      );
+    },
+
+    /**
+     * Mock fetch function with the same signature as window.fetch
+     * @param {String} input URL of the request
+     * @param {object} [init] Request object
+     * @returns {Promise<Response>}
+     */
+    async fetch(input, init = {}) {
+      // Like window.fetch, requests with an aborted signal are rejected without being sent
+      if (init.signal && init.signal.aborted) throw abortError();
+
+      // Relative URLs are resolved against localhost like Node, as there is no page to resolve against
+      const url = new URL(input, "http://localhost");
+      const method = (init.method || "GET").toUpperCase();
+
+      let params;
+      const route = routes.find(
+        (route) =>
+          (route.method === "*" || route.method === method) &&
+          (params = matchUrl(route.pattern, url)) !== undefined
+      );
+
+      const call = toCall(url, init, params || {});
+      mock.calls.push(call);
+
+      if (!route) throw new Error(`No mock route for ${method} ${url.href}`);
+
+      const spec =
+        typeof route.response === "function"
+          ? await route.response(call)
+          : route.response;
+
+      if (!(spec instanceof Response)) {
+        if (spec.delay) await wait(spec.delay, init.signal);
+        if (spec.networkError) throw new TypeError("Failed to fetch");
+      }
+
+      // Signal can abort while an async response function runs
+      if (init.signal && init.signal.aborted) throw abortError();
+
+      return toResponse(spec);
+    },
+  };
+
+  // Shorthand route methods, e.g. mock.get(pattern, response)
+  for (const method of [
+    "get",
+    "head",
+    "options",
+    "post",
+    "put",
+    "patch",
+    "delete",
+  ])
+    mock[method] = (pattern, response) => mock.route(method, pattern, response);
+
+  return mock;
+}
@@ -0,0 +1,66 @@
+/**
+ * Fake auth provider for tests, with the signed in state controlled by the test instead of firebase
+ * @function fakeAuth
+ * @param {object} [user] Signed in user, signed out if not given
+ * @param {String} user.uid UID of the user
+ * @param {String} [user.token] ID token of the user, defaults to "token-<uid>"
+ * @returns {object} Auth provider, see authProviders, with methods to control it
+ *
+ * @example
+ * const auth = fakeAuth({ uid: "alice" });
+ * const api = new fetch(auth, apiUrl, undefined, { fetch: mock.fetch });
+ * auth.signOut();
+ */
+export default function fakeAuth(user) {
+  let currentUser;
+  const listeners = new Set();
+
+  // Every getToken call, so that tests can assert when tokens are force refreshed
+  const tokenRequests = [];
+
+  const setUser = (user) => {
+    currentUser = user && { token: `token-${user.uid}`, ...user };
+    for (const listener of listeners) listener(currentUser);
+  };
+
+  setUser(user);
+
+  return {
+    tokenRequests,
+
+    async getToken({ forceRefresh = false } = {}) {
+      tokenRequests.push({ forceRefresh });
+      if (currentUser) return currentUser.token;
+    },
+    onChange(callback) {
+      listeners.add(callback);
+      return () => listeners.delete(callback);
+    },
+    getUid: () => (currentUser ? currentUser.uid : ""),
+    ready: async () => {},
+
+    /**
+     * Sign in as a user, notifying every onChange callback
+     * @param {String} uid UID of the user
+     * @param {String} [token] ID token of the user, defaults to "token-<uid>"
+     */
+    signIn(uid, token) {
+      setUser(token === undefined ? { uid } : { uid, token });
+    },
+
+    /**
+     * Sign out, notifying every onChange callback
+     */
+    signOut() {
+      setUser();
+    },
+
+    /**
+     * Change the ID token of the signed in user without notifying onChange callbacks, like a token refresh
+     * @param {String} token New ID token
+     */
+    setToken(token) {
+      if (currentUser) currentUser.token = token;
+    },
+  };
+}
@@ -0,0 +1,17 @@
+/**
+ * Test helpers for apps that use the library, imported from "fetch-with-fire/mock"
+ * so that they are not part of the main bundle
+ *
+ * @example
+ * import fetch from "fetch-with-fire";
+ * import { createMock, fakeAuth } from "fetch-with-fire/mock";
+ *
+ * const mock = createMock().get("/todos", { json: [] });
+ * const auth = fakeAuth({ uid: "alice" });
+ * const api = new fetch(auth, "https://api.example.com", undefined, { fetch: mock.fetch });
+ */
+
+import createMock from "./createMock";
+import fakeAuth from "./fakeAuth";
+
+export { createMock, fakeAuth };
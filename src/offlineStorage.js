@@ -0,0 +1,75 @@
+/**
+ * Storage adapters for the offline queue. Every adapter implements the same async interface:
+ * - getAll(): Returns every stored request, in the order they were added
+ * - add(request): Stores the request and returns its new ID
+ * - update(request): Replaces the stored request with the same ID
+ * - remove(id): Removes the request with the ID
+ */
+
+/**
+ * Storage adapter that persists requests in IndexedDB, so that they survive reloads and closed tabs
+ * @function indexedDBStorage
+ * @param {String} [name] Name of the IndexedDB database
+ * @returns {object} Storage adapter
+ */
+export function indexedDBStorage(name = "fetch-with-fire") {
+  let database;
+
+  const open = () =>
+    database ||
+    (database = new Promise((resolve, reject) => {
+      const request = indexedDB.open(name, 1);
+
+      // Auto incrementing keys keep the requests in the order they were added
+      request.onupgradeneeded = () =>
+        request.result.createObjectStore("requests", {
+          keyPath: "id",
+          autoIncrement: true,
+        });
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }));
+
+  // Run a single request on the object store in a transaction and resolve with its result
+  const run = async (mode, storeRequest) => {
+    const transaction = (await open()).transaction("requests", mode);
+    const request = storeRequest(transaction.objectStore("requests"));
+
+    return new Promise((resolve, reject) => {
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+    });
+  };
+
+  return {
+    getAll: () => run("readonly", (store) => store.getAll()),
+    add: (request) => run("readwrite", (store) => store.add(request)),
+    update: (request) => run("readwrite", (store) => store.put(request)),
+    remove: (id) => run("readwrite", (store) => store.delete(id)),
+  };
+}
+
+/**
+ * Storage adapter that keeps requests in memory only, used where IndexedDB is not available
+ * @function memoryStorage
+ * @returns {object} Storage adapter
+ */
+export function memoryStorage() {
+  const requests = new Map();
+  let nextID = 1;
+
+  return {
+    getAll: async () => [...requests.values()],
+    async add(request) {
+      const id = nextID++;
+      requests.set(id, { ...request, id });
+      return id;
+    },
+    async update(request) {
+      requests.set(request.id, { ...request });
+    },
+    async remove(id) {
+      requests.delete(id);
+    },
+  };
+}
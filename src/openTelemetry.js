@@ -0,0 +1,197 @@
+import isTrustedOrigin from "./isTrustedOrigin";
+
+// OpenTelemetry SpanKind.CLIENT and SpanStatusCode.ERROR, so that no OpenTelemetry package is needed
+const SPAN_KIND_CLIENT = 2;
+const SPAN_STATUS_ERROR = 2;
+
+/**
+ * Random lower case hex ID, used for trace and span IDs
+ * @param {Number} bytes Length of the ID in bytes
+ */
+function randomHex(bytes) {
+  const values = new Uint8Array(bytes);
+  if (globalThis.crypto && globalThis.crypto.getRandomValues)
+    globalThis.crypto.getRandomValues(values);
+  else
+    for (let i = 0; i < bytes; i++) values[i] = Math.floor(Math.random() * 256);
+
+  return Array.from(values, (value) =>
+    value.toString(16).padStart(2, "0")
+  ).join("");
+}
+
+/**
+ * Minimal tracer with the same startSpan method as an OpenTelemetry Tracer, used when no tracer is given.
+ * Every span starts a new trace, and is passed to onSpan as a plain object once it ends.
+ * @param {function} onSpan Called with { name, kind, traceId, spanId, startTime, endTime, attributes, events, status }
+ */
+function createTracer(onSpan) {
+  return {
+    startSpan(name, { attributes = {} } = {}) {
+      const span = {
+        name,
+        kind: "client",
+        traceId: randomHex(16),
+        spanId: randomHex(8),
+        startTime: Date.now(),
+        endTime: undefined,
+        attributes: { ...attributes },
+        events: [],
+        status: { code: "unset" },
+      };
+
+      return {
+        spanContext: () => ({
+          traceId: span.traceId,
+          spanId: span.spanId,
+          traceFlags: 1,
+        }),
+        setAttribute(key, value) {
+          span.attributes[key] = value;
+        },
+        addEvent(name, attributes) {
+          span.events.push({ name, attributes, time: Date.now() });
+        },
+        setStatus({ code, message }) {
+          span.status = {
+            code: code === SPAN_STATUS_ERROR ? "error" : "ok",
+            message,
+          };
+        },
+        recordException(error) {
+          span.events.push({
+            name: "exception",
+            attributes: {
+              "exception.type": error.name,
+              "exception.message": error.message,
+            },
+            time: Date.now(),
+          });
+        },
+        end() {
+          span.endTime = Date.now();
+          if (onSpan) onSpan(span);
+        },
+      };
+    },
+  };
+}
+
+/**
+ * Trace every request of the instance with a client span, using its lifecycle events, see on().
+ * A W3C traceparent header is added to requests sent to origins trusted with ID tokens, so that they
+ * can be correlated with backend traces. It is not sent to other origins, as it would fail CORS preflights.
+ * Span names and attributes follow the OpenTelemetry HTTP semantic conventions.
+ * @function openTelemetry
+ * @param {object} api Instance of the library
+ * @param {object} [options]
+ * @param {object} [options.tracer] OpenTelemetry Tracer, e.g. trace.getTracer("web") from @opentelemetry/api
+ * @param {function} [options.onSpan] Called with every finished span as a plain object, used if no tracer is given
+ * @returns {function} Function to stop tracing
+ *
+ * @example
+ * import { trace } from "@opentelemetry/api";
+ * openTelemetry(api, { tracer: trace.getTracer("web") });
+ *
+ * @example
+ * // Without OpenTelemetry, e.g. to send spans to your own collector
+ * openTelemetry(api, { onSpan: (span) => collector.push(span) });
+ */
+export default function openTelemetry(api, { tracer, onSpan } = {}) {
+  tracer = tracer || createTracer(onSpan);
+
+  // Spans of pending requests, by request ID
+  const spans = new Map();
+
+  const listeners = {
+    "request:start"({
+      id,
+      method,
+      url,
+      urlTemplate,
+      headers,
+      apiUrl,
+      trustedOrigins,
+    }) {
+      const span = tracer.startSpan(`${method} ${urlTemplate}`, {
+        kind: SPAN_KIND_CLIENT,
+        attributes: {
+          "http.request.method": method,
+          "url.full": url,
+          "url.template": urlTemplate,
+        },
+      });
+      spans.set(id, span);
+
+      // Trust is checked with the payload's base URL, as the request can be from an extended instance
+      if (headers && isTrustedOrigin(url, apiUrl, trustedOrigins)) {
+        const { traceId, spanId, traceFlags } = span.spanContext();
+        headers.traceparent = `00-${traceId}-${spanId}-${traceFlags
+          .toString(16)
+          .padStart(2, "0")}`;
+      }
+    },
+
+    "request:end"({ id, status, bytes, attempt }) {
+      const span = spans.get(id);
+      if (!span) return;
+      spans.delete(id);
+
+      span.setAttribute("http.response.status_code", status);
+      if (bytes !== undefined)
+        span.setAttribute("http.response.body.size", bytes);
+      if (attempt > 1)
+        span.setAttribute("http.request.resend_count", attempt - 1);
+
+      // Only server errors are errors for client spans, as 4xx responses can be expected by the caller
+      if (status >= 500) {
+        span.setAttribute("error.type", String(status));
+        span.setStatus({ code: SPAN_STATUS_ERROR });
+      }
+
+      span.end();
+    },
+
+    "request:error"({ id, error, status, attempt }) {
+      const span = spans.get(id);
+      if (!span) return;
+      spans.delete(id);
+
+      if (status !== undefined)
+        span.setAttribute("http.response.status_code", status);
+      if (attempt > 1)
+        span.setAttribute("http.request.resend_count", attempt - 1);
+      span.setAttribute("error.type", error.name);
+      span.recordException(error);
+      span.setStatus({ code: SPAN_STATUS_ERROR, message: error.message });
+      span.end();
+    },
+
+    retry({ id, attempt, delay, status }) {
+      const span = spans.get(id);
+      if (!span) return;
+
+      const attributes = {
+        "http.request.resend_count": attempt,
+        "retry.delay": delay,
+      };
+      if (status !== undefined)
+        attributes["http.response.status_code"] = status;
+      span.addEvent("retry", attributes);
+    },
+
+    "auth:token-refreshed"({ id }) {
+      const span = spans.get(id);
+      if (span) span.addEvent("auth.token_refreshed");
+    },
+  };
+
+  const unsubscribes = Object.keys(listeners).map((event) =>
+    api.on(event, listeners[event])
+  );
+
+  return () => {
+    for (const unsubscribe of unsubscribes) unsubscribe();
+    spans.clear();
+  };
+}
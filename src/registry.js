@@ -0,0 +1,29 @@
+// Named clients, shared across the app through registerClient and getClient
+const clients = new Map();
+
+/**
+ * Register a client under a name, replacing any client registered with the same name
+ * @function registerClient
+ * @param {String} name Name of the client, e.g. "billing"
+ * @param {object} client Client created with new fetch() or extend()
+ * @returns {object} The same client
+ *
+ * @example
+ * const core = registerClient("core", new fetch(firebase.auth, coreApiUrl));
+ * registerClient("billing", core.extend({ baseUrl: billingApiUrl }));
+ */
+export function registerClient(name, client) {
+  clients.set(name, client);
+  return client;
+}
+
+/**
+ * Get a client registered with registerClient
+ * @function getClient
+ * @param {String} name Name of the client
+ * @returns {object} The client
+ */
+export function getClient(name) {
+  if (!clients.has(name)) throw new Error(`No client registered as "${name}"`);
+  return clients.get(name);
+}
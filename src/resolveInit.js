@@ -0,0 +1,10 @@
+/**
+ * Get the init object for a request, calling the init factory first if one is given,
+ * so that values like headers can be computed only when the request is sent.
+ * @function resolveInit
+ * @param {object|function} [init] Request object for fetch, or a sync/async function that returns one
+ * @returns {object} Request object for fetch
+ */
+export default async function resolveInit(init) {
+  return (typeof init === "function" ? await init() : init) || {};
+}
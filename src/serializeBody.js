@@ -0,0 +1,12 @@
+/**
+ * Serialize data into a request body using the first serializer that can handle the data
+ * @function serializeBody
+ * @param {*} data Data to send as the request body
+ * @param {Array<object>} serializers Serializers with the test and serialize methods, see defaultSerializers
+ * @returns {object} Object with the body and the Content-Type header if any
+ */
+export default function serializeBody(data, serializers) {
+  return serializers
+    .find((serializer) => serializer.test(data))
+    .serialize(data);
+}
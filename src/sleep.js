@@ -0,0 +1,24 @@
+/**
+ * Resolve the returned promise after the given time
+ * @function sleep
+ * @param {Number} ms Time to wait in milliseconds
+ * @param {AbortSignal} [signal] Rejects right away with an AbortError like fetch does if the signal aborts while waiting
+ */
+export default function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const abort = () => {
+      clearTimeout(timeoutID);
+      reject(new DOMException("The user aborted a request.", "AbortError"));
+    };
+
+    const timeoutID = setTimeout(() => {
+      if (signal) signal.removeEventListener("abort", abort);
+      resolve();
+    }, ms);
+
+    if (signal) {
+      if (signal.aborted) abort();
+      else signal.addEventListener("abort", abort);
+    }
+  });
+}
@@ -0,0 +1,43 @@
+/**
+ * Wrap the response so that reading its body reports the download progress.
+ * The body is passed through as it is read, so this works for every responseType including streams.
+ * @function trackDownloadProgress
+ * @param {Response} response
+ * @param {function} onDownloadProgress Called with { loaded, total } in bytes every time a chunk is read,
+ * total is undefined if the server did not send a Content-Length header.
+ * Note that for compressed responses, total is the compressed size while loaded counts the decompressed bytes.
+ * @returns {Response} New response with the same status and headers
+ */
+export default function trackDownloadProgress(response, onDownloadProgress) {
+  // Nothing to track for responses without a body, e.g. 204
+  if (!response.body) return response;
+
+  const total = Number(response.headers.get("Content-Length")) || undefined;
+  let loaded = 0;
+
+  const reader = response.body.getReader();
+  const stream = new ReadableStream({
+    async pull(controller) {
+      const { done, value } = await reader.read();
+      if (done) return controller.close();
+
+      loaded += value.byteLength;
+      onDownloadProgress({ loaded, total });
+      controller.enqueue(value);
+    },
+    cancel(reason) {
+      return reader.cancel(reason);
+    },
+  });
+
+  const trackedResponse = new Response(stream, {
+    status: response.status,
+    statusText: response.statusText,
+    headers: response.headers,
+  });
+
+  // URL cannot be set through the constructor
+  Object.defineProperty(trackedResponse, "url", { value: response.url });
+
+  return trackedResponse;
+}
@@ -0,0 +1,128 @@
+import { ResponseValidationError } from "./errors";
+
+/**
+ * Validators for the "schema" and "validate" options. A validator is a function that is called with
+ * the parsed response body, and returns the validated body (which can be transformed, e.g. with defaults)
+ * or throws a ResponseValidationError with the path of the failing field.
+ */
+
+/**
+ * Convert a JSON pointer like "/items/0/name" (Ajv 8 instancePath) or a property path like
+ * ".items[0].name" (Ajv 6 dataPath) to an array of keys and indexes
+ * @function toPath
+ * @param {String} path
+ * @returns {Array<String|Number>}
+ */
+function toPath(path = "") {
+  if (path.startsWith("/"))
+    return path
+      .slice(1)
+      .split("/")
+      .map((key) => key.replace(/~1/g, "/").replace(/~0/g, "~"))
+      .map((key) => (/^\d+$/.test(key) ? Number(key) : key));
+
+  const keys = [];
+  const pattern = /\.([^.[\]]+)|\[(\d+)\]|\['((?:[^'\\]|\\.)*)'\]/g;
+  for (let match; (match = pattern.exec(path)); )
+    keys.push(
+      match[2] !== undefined
+        ? Number(match[2])
+        : match[1] !== undefined
+        ? match[1]
+        : match[3].replace(/\\(.)/g, "$1")
+    );
+  return keys;
+}
+
+/**
+ * Validator for a compiled JSON Schema, e.g. from Ajv's compile(), which returns a boolean and sets its errors property
+ * @function jsonSchema
+ * @param {function} validate Compiled JSON Schema validate function
+ * @returns {function} Validator
+ *
+ * @example
+ * const validateUser = new Ajv().compile({ type: "object", required: ["id"], properties: { id: { type: "string" } } });
+ * api.get("/users/:id", { params: { id }, validate: jsonSchema(validateUser) })
+ */
+export function jsonSchema(validate) {
+  return (data) => {
+    if (validate(data)) return data;
+
+    // Plain predicates have no errors to tell what failed
+    if (!validate.errors || !validate.errors.length)
+      throw new ResponseValidationError(
+        [{ path: [], message: "body does not match the JSON Schema" }],
+        data
+      );
+
+    throw new ResponseValidationError(
+      validate.errors.map((error) => {
+        const path = toPath(
+          error.instancePath === undefined ? error.dataPath : error.instancePath
+        );
+
+        // Missing properties are reported on the parent object, so the property is added to the path
+        if (error.params && error.params.missingProperty !== undefined)
+          path.push(...toPath(`.${error.params.missingProperty}`));
+
+        return { path, message: error.message };
+      }),
+      data
+    );
+  };
+}
+
+/**
+ * Get the issues from the error of a parse/safeParse style validator library, e.g. zod or valibot
+ * @function toIssues
+ * @param {Error|object} error
+ * @returns {Array<object>} Issues as { path, message }
+ */
+function toIssues(error) {
+  const issues = (error && (error.issues || error.errors)) || [error];
+
+  return issues.map((issue) => ({
+    // Some libraries have path items as objects with the key, e.g. valibot
+    path: (issue.path || []).map((key) =>
+      key && typeof key === "object" ? key.key : key
+    ),
+    message: (issue && issue.message) || String(issue),
+  }));
+}
+
+/**
+ * Validator for a schema of a validator library with a safeParse or parse method, e.g. zod
+ * @function parseSchema
+ * @param {object} schema Schema with safeParse(data) returning { success, data, error }, or parse(data) that throws
+ * @returns {function} Validator
+ *
+ * @example
+ * api.get("/users/:id", { params: { id }, validate: parseSchema(z.object({ id: z.string() })) })
+ */
+export function parseSchema(schema) {
+  return (data) => {
+    if (schema.safeParse) {
+      const result = schema.safeParse(data);
+      if (result.success) return result.data;
+      throw new ResponseValidationError(toIssues(result.error), data);
+    }
+
+    try {
+      return schema.parse(data);
+    } catch (error) {
+      throw new ResponseValidationError(toIssues(error), data);
+    }
+  };
+}
+
+/**
+ * Get the validator of a request's "schema" option, which can be a parse/safeParse style schema or a compiled JSON Schema
+ * @function getValidator
+ * @param {object|function} schema
+ * @returns {function} Validator
+ */
+export function getValidator(schema) {
+  return typeof schema === "function"
+    ? jsonSchema(schema)
+    : parseSchema(schema);
+}
@@ -0,0 +1,77 @@
+// Status codes that cannot be used to construct a Response with a body
+const nullBodyStatus = [101, 204, 205, 304];
+
+/**
+ * Parse the raw header string from XMLHttpRequest into a Headers object
+ * @param {String} rawHeaders Headers from getAllResponseHeaders
+ * @returns {Headers}
+ */
+function parseHeaders(rawHeaders) {
+  const headers = new Headers();
+
+  for (const line of rawHeaders.trim().split(/[\r\n]+/)) {
+    const index = line.indexOf(":");
+    if (index > 0)
+      headers.append(line.slice(0, index).trim(), line.slice(index + 1).trim());
+  }
+
+  return headers;
+}
+
+/**
+ * Minimal fetch implementation using XMLHttpRequest, as fetch cannot report upload progress.
+ * Only used for requests with the "onUploadProgress" option, and resolves with a normal Response,
+ * or rejects with the same errors as window.fetch, so it can be used in its place.
+ * @function xhrFetch
+ * @param {String} url Full URL of the request
+ * @param {object} init Request object for fetch, with the headers as an object
+ * @param {function} onUploadProgress Called with { loaded, total } in bytes as the request body is uploaded
+ * @returns {Promise<Response>}
+ */
+export default function xhrFetch(url, init, onUploadProgress) {
+  return new Promise((resolve, reject) => {
+    const abortError = () =>
+      new DOMException("The user aborted a request.", "AbortError");
+
+    if (init.signal && init.signal.aborted) return reject(abortError());
+
+    const xhr = new XMLHttpRequest();
+    xhr.open(init.method || "GET", url);
+    xhr.responseType = "blob";
+    xhr.withCredentials = init.credentials === "include";
+
+    // Headers includes the Authorization header, same as requests sent with window.fetch
+    new Headers(init.headers).forEach((value, name) =>
+      xhr.setRequestHeader(name, value)
+    );
+
+    xhr.upload.onprogress = (event) =>
+      onUploadProgress({
+        loaded: event.loaded,
+        total: event.lengthComputable ? event.total : undefined,
+      });
+
+    xhr.onload = () => {
+      const response = new Response(
+        nullBodyStatus.includes(xhr.status) ? null : xhr.response,
+        {
+          status: xhr.status,
+          statusText: xhr.statusText,
+          headers: parseHeaders(xhr.getAllResponseHeaders()),
+        }
+      );
+
+      // URL cannot be set through the constructor
+      Object.defineProperty(response, "url", { value: xhr.responseURL });
+      resolve(response);
+    };
+
+    // Same error type as window.fetch for network failures, so that they can be retried
+    xhr.onerror = () => reject(new TypeError("Network request failed"));
+    xhr.onabort = () => reject(abortError());
+
+    if (init.signal) init.signal.addEventListener("abort", () => xhr.abort());
+
+    xhr.send(init.body === undefined ? null : init.body);
+  });
+}
@@ -0,0 +1,89 @@
+import { AsyncLocalStorage } from "async_hooks";
+import { describe, it, expect } from "vitest";
+import fetch, { tokenAuth, UnauthenticatedError } from "../src/index";
+import { createMock, fakeAuth } from "../src/mock/index";
+
+// Responds with the Authorization header it got after a delay, so that concurrent requests overlap
+const createEchoMock = () =>
+  createMock().get("/me", ({ authorization }) => ({
+    json: { auth: authorization || null },
+    delay: 10,
+  }));
+
+const createApi = (auth, mock) =>
+  new fetch(
+    auth,
+    "http://api",
+    (error) => {
+      throw error;
+    },
+    { fetch: mock.fetch }
+  );
+
+describe("dedupe", () => {
+  it("shares identical concurrent requests of the same user", async () => {
+    const mock = createEchoMock();
+    const api = createApi(fakeAuth({ uid: "alice" }), mock);
+
+    const [first, second] = await Promise.all([api.get("/me"), api.get("/me")]);
+    expect(first).toBe(second);
+    expect(mock.calls).toHaveLength(1);
+  });
+
+  it("does not share requests with an ID token when the user cannot be identified", async () => {
+    const mock = createEchoMock();
+    // Forwarded user tokens on the server, where every incoming request has its own token
+    const context = new AsyncLocalStorage();
+    const api = createApi(
+      tokenAuth(() => context.getStore()),
+      mock
+    );
+
+    const [alice, bob] = await Promise.all([
+      context.run("alice", () => api.get("/me")),
+      context.run("bob", () => api.get("/me")),
+    ]);
+
+    expect(alice).toMatchObject({ auth: "Bearer alice" });
+    expect(bob).toMatchObject({ auth: "Bearer bob" });
+    expect(mock.calls).toHaveLength(2);
+  });
+
+  it("does not share requests with different auth modes", async () => {
+    const mock = createEchoMock();
+    const api = createApi(fakeAuth(), mock);
+
+    const [optional, required] = await Promise.allSettled([
+      api.get("/me"),
+      api.get("/me", { auth: "required" }),
+    ]);
+    expect(optional.value).toMatchObject({ auth: null });
+    expect(required.reason).toBeInstanceOf(UnauthenticatedError);
+
+    const signedIn = createApi(fakeAuth({ uid: "alice" }), createEchoMock());
+    const [user, none] = await Promise.all([
+      signedIn.get("/me"),
+      signedIn.get("/me", { auth: "none" }),
+    ]);
+    expect(user).toMatchObject({ auth: "Bearer token-alice" });
+    expect(none).toMatchObject({ auth: null });
+  });
+
+  it("does not share results with an unread body", async () => {
+    const mock = createEchoMock();
+    const api = createApi(fakeAuth({ uid: "alice" }), mock);
+
+    const raw = await Promise.all([
+      api.get("/me", { responseType: "raw" }),
+      api.get("/me", { responseType: "raw" }),
+    ]);
+    const envelopes = await Promise.all([
+      api.get("/me", { responseMode: "envelope" }),
+      api.get("/me", { responseMode: "envelope" }),
+    ]);
+
+    for (const { body } of raw) await body.json();
+    expect(envelopes[0].raw).not.toBe(envelopes[1].raw);
+    expect(mock.calls).toHaveLength(4);
+  });
+});
@@ -0,0 +1,47 @@
+import { describe, it, expect } from "vitest";
+import fetch, { tokenAuth } from "../src/index";
+import { createMock } from "../src/mock/index";
+
+const createApi = (mock, errorHandler) =>
+  new fetch(tokenAuth("token"), "http://api", errorHandler, {
+    fetch: mock.fetch,
+  });
+
+describe("interceptors", () => {
+  it("passes errors thrown by error interceptors to the error handler", async () => {
+    const mock = createMock().get("/down", { networkError: true });
+    const handled = [];
+    const api = createApi(mock, (error) => {
+      handled.push(error.message);
+      return "handled";
+    });
+
+    const seen = [];
+    api.use({
+      error() {
+        throw new Error("Interceptor failed");
+      },
+    });
+    api.use({
+      error(ctx) {
+        seen.push(ctx.error.message);
+      },
+    });
+
+    expect(await api.get("/down")).toBe("handled");
+    expect(seen).toEqual(["Interceptor failed"]);
+    expect(handled).toEqual(["Interceptor failed"]);
+  });
+
+  it("recovers from errors with the result set by an error interceptor", async () => {
+    const mock = createMock().get("/down", { networkError: true });
+    const api = createApi(mock, () => "handled");
+    api.use({
+      error(ctx) {
+        ctx.result = { fallback: true };
+      },
+    });
+
+    expect(await api.get("/down")).toEqual({ fallback: true });
+  });
+});
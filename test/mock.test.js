@@ -0,0 +1,214 @@
+import { describe, it, expect, beforeEach } from "vitest";
+import fetch, { tokenAuth, TimeoutError } from "../src/index";
+import { createMock, fakeAuth } from "../src/mock/index";
+
+describe("createMock", () => {
+  let mock;
+  beforeEach(() => {
+    mock = createMock();
+  });
+
+  it("matches routes by method and path pattern with params and query", async () => {
+    mock.get("/users/:id", ({ params, query }) => ({
+      json: { id: params.id, page: query.page },
+    }));
+
+    const response = await mock.fetch("http://api/users/a%20b?page=2");
+    expect(await response.json()).toEqual({ id: "a b", page: "2" });
+    await expect(
+      mock.fetch("http://api/users/1", { method: "POST" })
+    ).rejects.toThrow("No mock route for POST http://api/users/1");
+  });
+
+  it("matches wildcards, absolute URL patterns and RegExps", async () => {
+    mock
+      .get("/files/*", { text: "file" })
+      .get("http://other/a", { text: "other" })
+      .route("*", /\/any$/, { status: 204 });
+
+    expect(await (await mock.fetch("http://api/files/a/b.txt")).text()).toBe(
+      "file"
+    );
+    expect(await (await mock.fetch("http://other/a")).text()).toBe("other");
+    await expect(mock.fetch("http://api/a")).rejects.toThrow();
+    expect(
+      (await mock.fetch("http://api/any", { method: "DELETE" })).status
+    ).toBe(204);
+  });
+
+  it("uses routes added later before earlier ones", async () => {
+    mock
+      .get("/users/:id", { json: { id: "any" } })
+      .get("/users/me", { status: 404 });
+
+    expect((await mock.fetch("http://api/users/me")).status).toBe(404);
+    expect((await mock.fetch("http://api/users/1")).status).toBe(200);
+  });
+
+  it("builds responses from json, text and body specs", async () => {
+    mock
+      .get("/json", { status: 201, json: { a: 1 }, headers: { ETag: "1" } })
+      .get("/text", { text: "hi" })
+      .get("/raw", { body: new Blob(["raw"]), statusText: "Raw" });
+
+    const json = await mock.fetch("http://api/json");
+    expect(json.status).toBe(201);
+    expect(json.headers.get("Content-Type")).toBe("application/json");
+    expect(json.headers.get("ETag")).toBe("1");
+    expect(await (await mock.fetch("http://api/text")).text()).toBe("hi");
+
+    const raw = await mock.fetch("http://api/raw");
+    expect(raw.statusText).toBe("Raw");
+    expect(await raw.text()).toBe("raw");
+  });
+
+  it("returns a fresh Response on every call of a route with a Response", async () => {
+    mock.get("/r", new Response("same"));
+
+    expect(await (await mock.fetch("http://api/r")).text()).toBe("same");
+    expect(await (await mock.fetch("http://api/r")).text()).toBe("same");
+  });
+
+  it("simulates delays and network errors", async () => {
+    mock
+      .get("/slow", { json: {}, delay: 30 })
+      .get("/down", { networkError: true });
+
+    const start = Date.now();
+    await mock.fetch("http://api/slow");
+    expect(Date.now() - start).toBeGreaterThanOrEqual(25);
+    await expect(mock.fetch("http://api/down")).rejects.toBeInstanceOf(
+      TypeError
+    );
+  });
+
+  it("rejects with an AbortError when the signal is already aborted or aborts during a delay", async () => {
+    mock.get("/a", { json: {} }).get("/slow", { json: {}, delay: 1000 });
+
+    const aborted = new AbortController();
+    aborted.abort();
+    await expect(
+      mock.fetch("http://api/a", { signal: aborted.signal })
+    ).rejects.toMatchObject({
+      name: "AbortError",
+    });
+
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 10);
+    await expect(
+      mock.fetch("http://api/slow", { signal: controller.signal })
+    ).rejects.toMatchObject({ name: "AbortError" });
+  });
+
+  it("records calls, filters them and resets", async () => {
+    mock.post("/users", { status: 201 });
+
+    await mock.fetch("http://api/users?x=1", {
+      method: "post",
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: "Bearer t",
+      },
+      body: JSON.stringify({ name: "n" }),
+    });
+    await expect(mock.fetch("http://api/nothing")).rejects.toThrow();
+
+    expect(mock.calls).toHaveLength(2);
+    expect(mock.calls[0]).toMatchObject({
+      method: "POST",
+      url: "http://api/users?x=1",
+      path: "/users",
+      query: { x: "1" },
+      headers: { "content-type": "application/json" },
+      authorization: "Bearer t",
+      data: { name: "n" },
+    });
+    expect(mock.callsTo("post", "/users")).toHaveLength(1);
+    expect(mock.callsTo("get")).toHaveLength(1);
+
+    mock.reset();
+    expect(mock.calls).toHaveLength(0);
+    await expect(
+      mock.fetch("http://api/users", { method: "POST" })
+    ).rejects.toThrow();
+  });
+});
+
+describe("fakeAuth", () => {
+  it("controls the signed in user and notifies onChange callbacks", async () => {
+    const auth = fakeAuth({ uid: "alice" });
+    const changes = [];
+    const unsubscribe = auth.onChange((user) => changes.push(user && user.uid));
+
+    expect(await auth.getToken()).toBe("token-alice");
+    expect(auth.getUid()).toBe("alice");
+
+    auth.signOut();
+    expect(await auth.getToken()).toBeUndefined();
+    expect(auth.getUid()).toBe("");
+
+    auth.signIn("bob", "custom");
+    expect(await auth.getToken({ forceRefresh: true })).toBe("custom");
+
+    unsubscribe();
+    auth.signOut();
+    expect(changes).toEqual([undefined, "bob"]);
+    expect(auth.tokenRequests).toEqual([
+      { forceRefresh: false },
+      { forceRefresh: false },
+      { forceRefresh: true },
+    ]);
+  });
+});
+
+describe("with the library", () => {
+  it("records the Authorization header of the signed in user", async () => {
+    const mock = createMock().get("/me", { json: { ok: true } });
+    const auth = fakeAuth({ uid: "alice" });
+    const api = new fetch(auth, "http://api", (error) => error, {
+      fetch: mock.fetch,
+    });
+
+    expect(await api.get("/me")).toEqual({ ok: true, statusCode: 200 });
+    auth.signOut();
+    await api.get("/me");
+
+    expect(mock.calls.map((call) => call.authorization)).toEqual([
+      "Bearer token-alice",
+      undefined,
+    ]);
+  });
+
+  it("replays a 401 with a force refreshed token", async () => {
+    const mock = createMock().get("/secure", ({ authorization }) => ({
+      status: authorization === "Bearer fresh" ? 200 : 401,
+      json: {},
+    }));
+    const auth = fakeAuth({ uid: "alice" });
+    auth.getToken = async ({ forceRefresh } = {}) =>
+      forceRefresh ? "fresh" : "stale";
+    const api = new fetch(auth, "http://api", (error) => error, {
+      fetch: mock.fetch,
+    });
+
+    expect((await api.get("/secure")).statusCode).toBe(200);
+    expect(mock.calls.map((call) => call.authorization)).toEqual([
+      "Bearer stale",
+      "Bearer fresh",
+    ]);
+  });
+
+  it("times out a retried request with a TimeoutError", async () => {
+    const mock = createMock().get("/flaky", { status: 503 });
+    const api = new fetch(tokenAuth(""), "http://api", (error) => error, {
+      fetch: mock.fetch,
+      retry: { maxAttempts: 5, baseDelay: 1000, maxDelay: 1000 },
+    });
+
+    const start = Date.now();
+    expect(await api.modify({ timeout: 50 }).get("/flaky")).toBeInstanceOf(
+      TimeoutError
+    );
+    expect(Date.now() - start).toBeLessThan(500);
+  });
+});
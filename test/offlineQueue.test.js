@@ -0,0 +1,148 @@
+import { describe, it, expect, vi } from "vitest";
+import fetch, { memoryStorage, RequestQueuedError } from "../src/index";
+import { createMock, fakeAuth } from "../src/mock/index";
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Mock that fails with a network error while "down" is true
+const createFlakyMock = (state) =>
+  createMock().route("*", "*", () =>
+    state.down ? { networkError: true } : { status: 201, json: {} }
+  );
+
+const createApi = (mock, offline = {}, auth = fakeAuth({ uid: "alice" })) =>
+  new fetch(auth, "http://api", (error) => error, {
+    fetch: mock.fetch,
+    offline: { storage: memoryStorage(), ...offline },
+  });
+
+describe("offline queue", () => {
+  it("queues requests that fail with a network error and replays them with the same idempotency key", async () => {
+    const state = { down: true };
+    const mock = createFlakyMock(state);
+    const api = createApi(mock, { retryDelay: 60000 });
+
+    const error = await api.post("/todos", { title: "a" });
+    expect(error).toBeInstanceOf(RequestQueuedError);
+    expect(await api.offlineQueue.getAll()).toHaveLength(1);
+
+    state.down = false;
+    await api.offlineQueue.replay();
+
+    expect(await api.offlineQueue.getAll()).toHaveLength(0);
+    const [sent, replayed] = mock.calls;
+    expect(replayed.headers["idempotency-key"]).toBeTruthy();
+    expect(replayed.headers["idempotency-key"]).toBe(
+      sent.headers["idempotency-key"]
+    );
+    expect(replayed.authorization).toBe("Bearer token-alice");
+    expect(replayed.data).toEqual({ title: "a" });
+  });
+
+  it("replays after a delay while the browser stays online", async () => {
+    const state = { down: true };
+    const mock = createFlakyMock(state);
+    const api = createApi(mock, { retryDelay: 20 });
+    const replayed = [];
+    api.offlineQueue.on("replayed", ({ request }) =>
+      replayed.push(request.url)
+    );
+
+    await api.post("/todos", {});
+    await wait(30);
+    expect(await api.offlineQueue.getAll()).toMatchObject([{ attempts: 1 }]);
+
+    state.down = false;
+    await wait(60);
+    expect(replayed).toEqual(["http://api/todos"]);
+    expect(await api.offlineQueue.getAll()).toHaveLength(0);
+  });
+
+  it("times out hung replays and drops requests that keep failing", async () => {
+    const mock = createMock().post("/todos", { networkError: true });
+    const api = createApi(mock, {
+      timeout: 20,
+      maxAttempts: 2,
+      retryDelay: 60000,
+    });
+    const failed = [];
+    api.offlineQueue.on("failed", ({ error }) => failed.push(error.name));
+
+    await api.post("/todos", {});
+    mock.post("/todos", { json: {}, delay: 1000 });
+
+    await api.offlineQueue.replay();
+    expect(await api.offlineQueue.getAll()).toHaveLength(1);
+    await api.offlineQueue.replay();
+
+    expect(await api.offlineQueue.getAll()).toHaveLength(0);
+    expect(failed).toEqual(["AbortError"]);
+  });
+
+  it("does not send the idempotency key to untrusted origins", async () => {
+    const mock = createMock().post("*", { status: 201 });
+    const api = createApi(mock);
+
+    await api.post("/todos", {});
+    await api.post("http://other/todos", {});
+
+    expect(mock.calls[0].headers["idempotency-key"]).toBeTruthy();
+    expect(mock.calls[1].headers["idempotency-key"]).toBeUndefined();
+  });
+
+  it("only shares the queue with extended clients that send requests the same way", async () => {
+    const state = { down: true };
+    const mock = createFlakyMock(state);
+    const api = createApi(mock, { retryDelay: 60000 });
+
+    const child = api.extend({ headers: { "X-Child": "1" } });
+    const billing = api.extend({
+      baseUrl: "http://billing",
+      authProvider: fakeAuth({ uid: "billing" }),
+    });
+    expect(child.offlineQueue).toBe(api.offlineQueue);
+    expect(billing.offlineQueue).not.toBe(api.offlineQueue);
+
+    await billing.post("/invoices", {});
+    expect(await api.offlineQueue.getAll()).toHaveLength(0);
+
+    state.down = false;
+    await billing.offlineQueue.replay();
+    expect(mock.calls[1]).toMatchObject({
+      url: "http://billing/invoices",
+      authorization: "Bearer token-billing",
+    });
+  });
+
+  it("gives every client its own IndexedDB database", async () => {
+    const open = vi.fn(() => ({}));
+    vi.stubGlobal("indexedDB", { open });
+    const mock = createMock();
+
+    const api = new fetch(fakeAuth(), "http://api", undefined, {
+      fetch: mock.fetch,
+      offline: true,
+    });
+    new fetch(fakeAuth(), "http://api", undefined, { offline: true });
+    api.extend({ authProvider: fakeAuth() });
+    api.extend({ offline: { name: "billing" } });
+
+    // Databases are opened by the replay on creation
+    await wait(0);
+
+    expect(open.mock.calls.map(([name]) => name)).toEqual([
+      "fetch-with-fire",
+      "fetch-with-fire-2",
+      "fetch-with-fire-3",
+      "billing",
+    ]);
+    expect(
+      () =>
+        new fetch(fakeAuth(), "http://api", undefined, {
+          offline: { name: "billing" },
+        })
+    ).toThrow('Offline queue name "billing" is already used by another client');
+
+    vi.unstubAllGlobals();
+  });
+});
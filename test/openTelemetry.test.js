@@ -0,0 +1,41 @@
+import { describe, it, expect } from "vitest";
+import fetch, { openTelemetry, tokenAuth } from "../src/index";
+import { createMock } from "../src/mock/index";
+
+describe("openTelemetry", () => {
+  it("traces concurrent requests of extended clients separately, with their own trusted origins", async () => {
+    const mock = createMock()
+      .get("http://parent/slow", { json: {}, delay: 20 })
+      .get("http://child/fast", { json: {} });
+    const parent = new fetch(tokenAuth(""), "http://parent", (error) => error, {
+      fetch: mock.fetch,
+    });
+    const spans = [];
+    openTelemetry(parent, { onSpan: (span) => spans.push(span) });
+    const child = parent.extend({ baseUrl: "http://child" });
+
+    await Promise.all([parent.get("/slow"), child.get("/fast")]);
+
+    expect(spans.map((span) => span.attributes["url.full"]).sort()).toEqual([
+      "http://child/fast",
+      "http://parent/slow",
+    ]);
+    expect(mock.calls.every((call) => call.headers.traceparent)).toBe(true);
+  });
+
+  it("does not send the traceparent header to untrusted origins", async () => {
+    const mock = createMock().get("*", { json: {} });
+    const api = new fetch(tokenAuth(""), "http://api", (error) => error, {
+      fetch: mock.fetch,
+      trustedOrigins: ["http://trusted"],
+    });
+    openTelemetry(api);
+
+    await api.get("http://trusted/a");
+    await api.get("http://other/a");
+
+    expect(
+      mock.calls.map((call) => Boolean(call.headers.traceparent))
+    ).toEqual([true, false]);
+  });
+});
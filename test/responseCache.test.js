@@ -0,0 +1,66 @@
+import { describe, it, expect } from "vitest";
+import fetch, { tokenAuth, UnauthenticatedError } from "../src/index";
+import { createMock, fakeAuth } from "../src/mock/index";
+
+// Responds with the Authorization header it got, to tell apart which user a response was for
+const createEchoMock = () =>
+  createMock().get("/me", ({ authorization }) => ({
+    json: { auth: authorization || null },
+  }));
+
+const createApi = (auth, mock) =>
+  new fetch(
+    auth,
+    "http://api",
+    (error) => {
+      throw error;
+    },
+    { fetch: mock.fetch, responseCache: true, dedupe: false }
+  );
+
+describe("responseCache", () => {
+  it("serves cached responses to the same user without a network request", async () => {
+    const mock = createEchoMock();
+    const api = createApi(fakeAuth({ uid: "alice" }), mock);
+
+    await api.get("/me");
+    expect(await api.get("/me")).toMatchObject({ auth: "Bearer token-alice" });
+    expect(mock.calls).toHaveLength(1);
+  });
+
+  it("caches responses of requests sent without an ID token separately", async () => {
+    const mock = createEchoMock();
+    const api = createApi(fakeAuth({ uid: "alice" }), mock);
+
+    expect(await api.get("/me", { auth: "none" })).toMatchObject({
+      auth: null,
+    });
+    expect(await api.get("/me")).toMatchObject({ auth: "Bearer token-alice" });
+    expect(mock.calls).toHaveLength(2);
+  });
+
+  it("rejects requests that require auth while signed out even if a response is cached", async () => {
+    const mock = createEchoMock();
+    const api = createApi(fakeAuth(), mock);
+
+    await api.get("/me");
+    await expect(api.get("/me", { auth: "required" })).rejects.toBeInstanceOf(
+      UnauthenticatedError
+    );
+    expect(mock.calls).toHaveLength(1);
+  });
+
+  it("does not cache requests with an ID token when the user cannot be identified", async () => {
+    const mock = createEchoMock();
+    let token = "alice";
+    const api = createApi(
+      tokenAuth(() => token),
+      mock
+    );
+
+    await api.get("/me");
+    token = "bob";
+    expect(await api.get("/me")).toMatchObject({ auth: "Bearer bob" });
+    expect(mock.calls).toHaveLength(2);
+  });
+});
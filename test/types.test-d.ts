@@ -0,0 +1,215 @@
+/**
+ * Type tests for the declarations, checked by "npm run typecheck" and never run.
+ * Every "@ts-expect-error" line must fail to type check, or tsc reports the unused directive.
+ */
+
+import fetch, {
+  Envelope,
+  HttpError,
+  NotFoundError,
+  ResponseValidationError,
+  SpreadResult,
+  getClient,
+  memoryStorage,
+  openTelemetry,
+  registerClient,
+  tokenAuth,
+} from "../types/index";
+import { createMock, fakeAuth } from "../types/mock";
+
+interface User {
+  id: string;
+  name: string;
+}
+
+// Minimal safeParse schema, like the ones of validator libraries such as zod
+const userSchema = {
+  safeParse: (data: unknown) => ({
+    success: true as const,
+    data: data as User,
+  }),
+};
+
+const mock = createMock().get("/users/:id", ({ params }) => ({
+  json: { id: params.id },
+}));
+const auth = fakeAuth({ uid: "alice" });
+const api = new fetch(
+  auth,
+  "https://api.example.com",
+  (error) => {
+    throw error;
+  },
+  {
+    fetch: mock.fetch,
+    retry: { maxAttempts: 2 },
+    offline: { storage: memoryStorage() },
+  }
+);
+const validatedApi = new fetch(
+  tokenAuth("token"),
+  "https://api.example.com",
+  undefined,
+  {
+    schema: userSchema,
+    validate: (body) => body,
+  }
+);
+const envelopeApi = new fetch(
+  tokenAuth("token"),
+  "https://api.example.com",
+  undefined,
+  {
+    responseMode: "envelope",
+  }
+);
+
+async function results() {
+  // Spread mode, the default
+  const user = await api.get<User>("/users/1");
+  const name: string = user.name;
+  const statusCode: number = user.statusCode;
+
+  const text = await api.get<string>("/text");
+  const body: string = text.body;
+
+  const users = await api.get<User[]>("/users");
+  const count: number = users.body.length;
+
+  const created = await api.post<Pick<User, "name">, User>("/users", {
+    name: "n",
+  });
+  const id: string = created.id;
+
+  // @ts-expect-error wrong request body type
+  await api.post<Pick<User, "name">, User>("/users", { nope: 1 });
+
+  // @ts-expect-error unknown library option
+  await api.get("/users", { retries: 3 });
+
+  // Envelope mode set on the instance, with modify() and per request
+  const envelope: Envelope<User> = await envelopeApi.get<User>("/users/1");
+  const data: User = envelope.data;
+  const headers: Headers = envelope.raw.headers;
+
+  const modified = await api
+    .modify({ responseMode: "envelope" })
+    .get<User[]>("/users");
+  const first: User = modified.data[0];
+
+  const perRequest: Envelope<User> = await api.get<User>("/users/1", {
+    responseMode: "envelope",
+  });
+  // @ts-expect-error envelopes have no statusCode
+  perRequest.statusCode;
+
+  const explicitMode: Envelope<User> = await api.get<User, "envelope">(
+    "/users/1",
+    {
+      responseMode: "envelope",
+    }
+  );
+
+  const postEnvelope: Envelope<User> = await api.post<Pick<User, "name">, User>(
+    "/users",
+    { name: "n" },
+    { responseMode: "envelope" }
+  );
+
+  const requestEnvelope: Envelope<User> = await api.request<undefined, User>({
+    url: "/users/1",
+    responseMode: "envelope",
+  });
+
+  const spread: SpreadResult<User> = await envelopeApi.get<User>("/users/1", {
+    responseMode: "spread",
+  });
+
+  // Result type inferred from the schema
+  const inferred = await api.get("/users/1", {
+    responseMode: "envelope",
+    schema: userSchema,
+  });
+  const inferredName: string = inferred.data.name;
+
+  const validated = await api.get("/users/1", {
+    validate: (body) => body as User,
+  });
+  const validatedId: string = validated.id;
+
+  return [
+    name,
+    statusCode,
+    body,
+    count,
+    id,
+    data,
+    headers,
+    first,
+    explicitMode,
+    postEnvelope,
+    requestEnvelope,
+    spread,
+    inferredName,
+    validatedId,
+  ];
+}
+
+async function instances() {
+  const chained: fetch = api
+    .modifyPermanently(() => ({ headers: { "X-Locale": "en" } }))
+    .addSerializer({ test: () => false, serialize: () => ({ body: "" }) });
+
+  const child = api.extend({
+    baseUrl: "https://other.example.com",
+    responseMode: "envelope",
+  });
+  const childData: User = (await child.get<User>("/users/1")).data;
+
+  registerClient("other", child);
+  const registered: typeof child = getClient<typeof child>("other");
+
+  api.use({
+    request(ctx) {
+      ctx.init.headers = { ...ctx.init.headers, "X-Request": "1" };
+    },
+  });
+
+  api.on("request:start", ({ headers, apiUrl }) => {
+    headers["X-Api"] = apiUrl;
+  });
+  api.on(
+    "request:end",
+    ({ status, duration, urlTemplate }) =>
+      status + duration + urlTemplate.length
+  );
+  api.offlineQueue?.on(
+    "replayed",
+    ({ request, response }) => request.id + response.status
+  );
+  openTelemetry(api, { onSpan: (span) => span.traceId });
+
+  return [chained, childData, registered];
+}
+
+async function errors() {
+  try {
+    await api.get("/users/1");
+  } catch (error) {
+    if (error instanceof NotFoundError) {
+      const status: number = error.status;
+    }
+    if (error instanceof HttpError) error.request.url;
+    if (error instanceof ResponseValidationError) error.path.join(".");
+  }
+}
+
+function mocks() {
+  const authorization: string | undefined = mock.calls[0].authorization;
+  mock.callsTo("get", /users/);
+  auth.signOut();
+  auth.signIn("bob", "token");
+  return authorization;
+}
+
+export { results, instances, errors, mocks, validatedApi };
@@ -0,0 +1,174 @@
+import { describe, it, expect } from "vitest";
+import fetch, {
+  jsonSchema,
+  parseSchema,
+  tokenAuth,
+  ResponseValidationError,
+} from "../src/index";
+import { createMock } from "../src/mock/index";
+
+// Compiled JSON Schema validate function that fails with the given errors, like Ajv's compile()
+const failingValidate = (errors) => Object.assign(() => false, { errors });
+
+const validationError = (validate, data = {}) => {
+  try {
+    validate(data);
+  } catch (error) {
+    return error;
+  }
+};
+
+describe("jsonSchema", () => {
+  it("returns the data when it is valid", () => {
+    const data = { id: "1" };
+    expect(jsonSchema(() => true)(data)).toBe(data);
+  });
+
+  it("parses Ajv 8 instance paths as JSON pointers", () => {
+    const error = validationError(
+      jsonSchema(
+        failingValidate([
+          { instancePath: "/items/1/a~1b", message: "must be string" },
+        ])
+      )
+    );
+
+    expect(error).toBeInstanceOf(ResponseValidationError);
+    expect(error.path).toEqual(["items", 1, "a/b"]);
+    expect(error.message).toBe(
+      'Response failed validation at "items.1.a/b": must be string'
+    );
+  });
+
+  it("parses Ajv 6 data paths and adds missing properties to the path", () => {
+    const error = validationError(
+      jsonSchema(
+        failingValidate([
+          {
+            dataPath: ".items[0]['first name']",
+            params: { missingProperty: "id" },
+            message: "should have required property 'id'",
+          },
+          { dataPath: ".count", message: "should be number" },
+        ])
+      )
+    );
+
+    expect(error.path).toEqual(["items", 0, "first name", "id"]);
+    expect(error.issues.map((issue) => issue.path)).toEqual([
+      ["items", 0, "first name", "id"],
+      ["count"],
+    ]);
+  });
+
+  it("has a message for predicates without errors", () => {
+    const error = validationError(jsonSchema(() => false));
+
+    expect(error.issues).toEqual([
+      { path: [], message: "body does not match the JSON Schema" },
+    ]);
+    expect(error.message).toBe(
+      "Response failed validation: body does not match the JSON Schema"
+    );
+  });
+});
+
+describe("parseSchema", () => {
+  it("returns the parsed data of safeParse schemas, e.g. with defaults", () => {
+    const schema = {
+      safeParse: (data) => ({ success: true, data: { ...data, role: "user" } }),
+    };
+
+    expect(parseSchema(schema)({ id: "1" })).toEqual({ id: "1", role: "user" });
+  });
+
+  it("gets the issues of zod errors", () => {
+    const schema = {
+      safeParse: () => ({
+        success: false,
+        error: {
+          issues: [{ path: ["items", 1, "name"], message: "Required" }],
+        },
+      }),
+    };
+
+    const error = validationError(parseSchema(schema));
+    expect(error.path).toEqual(["items", 1, "name"]);
+    expect(error.message).toBe(
+      'Response failed validation at "items.1.name": Required'
+    );
+  });
+
+  it("gets the issues of valibot errors, with path items as objects", () => {
+    const schema = {
+      parse() {
+        const error = new Error("Invalid type");
+        error.issues = [
+          {
+            path: [{ key: "items" }, { key: 0 }],
+            message: "Invalid type",
+          },
+        ];
+        throw error;
+      },
+    };
+
+    expect(validationError(parseSchema(schema)).path).toEqual(["items", 0]);
+  });
+
+  it("uses the message of errors without issues", () => {
+    const schema = {
+      parse() {
+        throw new Error("Not a user");
+      },
+    };
+
+    const error = validationError(parseSchema(schema));
+    expect(error.issues).toEqual([{ path: [], message: "Not a user" }]);
+  });
+
+  it("has a message for errors with no issues", () => {
+    const schema = {
+      safeParse: () => ({ success: false, error: { issues: [] } }),
+    };
+
+    expect(validationError(parseSchema(schema)).message).toBe(
+      "Response failed validation"
+    );
+  });
+});
+
+describe("schema and validate options", () => {
+  const createApi = (options) =>
+    new fetch(tokenAuth("token"), "http://api", (error) => error, {
+      fetch: createMock().get("/users/:id", { json: { id: 1 } }).fetch,
+      ...options,
+    });
+
+  it("passes validation failures to the error handler with the request", async () => {
+    const api = createApi({ schema: failingValidate([]) });
+
+    const error = await api.get("/users/1");
+    expect(error).toBeInstanceOf(ResponseValidationError);
+    expect(error.body).toEqual({ id: 1 });
+    expect(error.request).toEqual({ method: "GET", url: "http://api/users/1" });
+  });
+
+  it("uses the body returned by the validate option, and wraps its errors", async () => {
+    const api = createApi();
+
+    expect(
+      await api.get("/users/1", {
+        validate: (body) => ({ id: String(body.id) }),
+      })
+    ).toEqual({ id: "1", statusCode: 200 });
+
+    const error = await api.get("/users/1", {
+      validate() {
+        throw new Error("Unexpected user");
+      },
+    });
+    expect(error).toBeInstanceOf(ResponseValidationError);
+    expect(error.message).toBe("Response failed validation: Unexpected user");
+  });
+});
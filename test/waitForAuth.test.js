@@ -0,0 +1,41 @@
+import { describe, it, expect, vi, afterEach } from "vitest";
+import fetch, { tokenAuth } from "../src/index";
+import { createMock, fakeAuth } from "../src/mock/index";
+
+describe("waitForAuth", () => {
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it("clears the wait timer once auth is ready, so that Node can exit", async () => {
+    vi.useFakeTimers();
+    const mock = createMock().get("/me", { json: {} });
+    const api = new fetch(tokenAuth("token"), "http://api", undefined, {
+      fetch: mock.fetch,
+      waitForAuth: true,
+    });
+
+    await api.get("/me");
+    expect(vi.getTimerCount()).toBe(0);
+  });
+
+  it("waits for auth to be ready before sending the request", async () => {
+    const mock = createMock().get("/me", { json: {} });
+    const auth = fakeAuth();
+    let ready;
+    auth.ready = () => new Promise((resolve) => (ready = resolve));
+    const api = new fetch(auth, "http://api", undefined, {
+      fetch: mock.fetch,
+      waitForAuth: 1000,
+    });
+
+    const request = api.get("/me");
+    await new Promise((resolve) => setTimeout(resolve, 10));
+    expect(mock.calls).toHaveLength(0);
+
+    auth.signIn("alice");
+    ready();
+    await request;
+    expect(mock.calls[0].authorization).toBe("Bearer token-alice");
+  });
+});
@@ -0,0 +1,624 @@
+// Type declarations for fetch-with-fire
+
+/* ---------------------------------- Auth ---------------------------------- */
+
+/**
+ * Source of the ID token for the Authorization header, see authProviders
+ */
+export interface AuthProvider {
+  getToken(options?: {
+    forceRefresh?: boolean;
+  }): Promise<string | undefined | null> | string | undefined | null;
+  onChange(callback: (user: unknown) => void): () => void;
+  getUid?(): string;
+  ready?(): Promise<unknown>;
+}
+
+/**
+ * Auth instance of the modular Firebase SDK (v9 and later), or of the namespaced SDK
+ */
+export interface FirebaseAuthLike {
+  currentUser: {
+    uid: string;
+    getIdToken(forceRefresh?: boolean): Promise<string>;
+  } | null;
+  onAuthStateChanged(callback: (user: unknown) => void): () => void;
+  authStateReady?(): Promise<void>;
+}
+
+/**
+ * Namespaced firebase auth function, modular firebase auth instance or an auth provider
+ */
+export type Auth = AuthProvider | FirebaseAuthLike | (() => FirebaseAuthLike);
+
+export function firebaseModularAuth(auth: FirebaseAuthLike): AuthProvider;
+export function firebaseNamespacedAuth(
+  firebaseAuth: () => FirebaseAuthLike
+): AuthProvider;
+export function tokenAuth(
+  token:
+    | string
+    | ((options: {
+        forceRefresh: boolean;
+      }) => string | undefined | Promise<string | undefined>),
+  getUid?: () => string
+): AuthProvider;
+
+/* ------------------------------- Validation ------------------------------- */
+
+/**
+ * Issue of a failed response validation, where path is the keys and indexes of the failing field
+ */
+export interface ValidationIssue {
+  path: Array<string | number>;
+  message: string;
+}
+
+/**
+ * Schema of a validator library with a safeParse or parse method, e.g. zod
+ */
+export type ParseSchema<T> =
+  | {
+      safeParse(
+        data: unknown
+      ): { success: true; data: T } | { success: false; error: unknown };
+    }
+  | { parse(data: unknown): T };
+
+/**
+ * Compiled JSON Schema validate function, e.g. from Ajv's compile()
+ */
+export interface JsonSchemaValidateFunction<T> {
+  (data: unknown): data is T;
+  errors?: Array<object> | null;
+}
+
+/**
+ * Schema for the "schema" option
+ */
+export type Schema<T> = ParseSchema<T> | JsonSchemaValidateFunction<T>;
+
+/**
+ * Function for the "validate" option, returns the validated body or throws
+ */
+export type Validator<T> = (body: unknown) => T | Promise<T>;
+
+/**
+ * Validator for a compiled JSON Schema, e.g. from Ajv's compile()
+ */
+export function jsonSchema<T>(
+  validate: JsonSchemaValidateFunction<T> | ((data: unknown) => boolean)
+): Validator<T>;
+
+/**
+ * Validator for a schema of a validator library with a safeParse or parse method, e.g. zod
+ */
+export function parseSchema<T>(schema: ParseSchema<T>): Validator<T>;
+
+/* --------------------------------- Options -------------------------------- */
+
+export type ResponseMode = "spread" | "envelope";
+
+export type ResponseType =
+  | "json"
+  | "text"
+  | "blob"
+  | "arrayBuffer"
+  | "formData"
+  | "stream"
+  | "raw";
+
+/**
+ * How the body was read, see getParsedResponse
+ */
+export type ParsedType = ResponseType | "empty";
+
+export type AuthMode = "optional" | "required" | "none";
+
+export type QueryArrayFormat = "repeat" | "brackets" | "indices" | "comma";
+
+export interface RetryPolicy {
+  maxAttempts?: number;
+  baseDelay?: number;
+  maxDelay?: number;
+  methods?: string[];
+  statusCodes?: number[];
+}
+
+export interface ResponseCacheOptions {
+  ttl?: number;
+  staleWhileRevalidate?: number;
+  maxEntries?: number;
+}
+
+export interface Progress {
+  loaded: number;
+  total?: number;
+}
+
+export type QueryValue =
+  | string
+  | number
+  | boolean
+  | Date
+  | null
+  | undefined
+  | QueryValue[]
+  | { [key: string]: QueryValue };
+
+/**
+ * Library options that can be set for every request in the constructor, or per request on the init object
+ */
+export interface LibraryOptions {
+  retry?: boolean | number | RetryPolicy;
+  refreshTokenOn401?: boolean;
+  timeout?: number;
+  throwHttpErrors?: boolean;
+  responseType?: ResponseType;
+  onUploadProgress?: (progress: Progress) => void;
+  onDownloadProgress?: (progress: Progress) => void;
+  queryArrayFormat?: QueryArrayFormat;
+  responseCache?: boolean | ResponseCacheOptions;
+  dedupe?: boolean;
+  auth?: AuthMode;
+  trustedOrigins?: string[];
+  waitForAuth?: boolean | number;
+  fetch?: typeof globalThis.fetch;
+  offline?: boolean | OfflineQueueOptions;
+}
+
+/**
+ * Init object for fetch with the library specific options, for a request whose validated body is T
+ */
+export interface RequestOptions<T = any, M extends ResponseMode = ResponseMode>
+  extends Omit<RequestInit, "headers">,
+    LibraryOptions {
+  headers?: Record<string, string | undefined>;
+  responseMode?: M;
+  /** Path parameters for ":name" placeholders in the URL */
+  params?: Record<string, string | number>;
+  query?: Record<string, QueryValue> | URLSearchParams;
+  /** Validate successful response bodies with a parse/safeParse style schema or a compiled JSON Schema */
+  schema?: Schema<T>;
+  /** Validate successful response bodies with a function that returns the body or throws */
+  validate?: Validator<T>;
+}
+
+/**
+ * Init object for modify() and modifyPermanently(), or a sync/async function returning one that is called on every request
+ */
+export type InitOrFactory<M extends ResponseMode = ResponseMode> =
+  | RequestOptions<any, M>
+  | (() => RequestOptions<any, M> | Promise<RequestOptions<any, M>>);
+
+export interface Serializer {
+  test(data: unknown): boolean;
+  serialize(data: unknown): { body: BodyInit; contentType?: string };
+}
+
+export interface AppCheckOptions {
+  instance: unknown;
+  getToken?: (
+    instance: unknown,
+    forceRefresh: boolean
+  ) => Promise<{ token: string }>;
+  headerName?: string;
+  failClosed?: boolean;
+}
+
+/**
+ * Constructor options
+ */
+export interface FetchOptions<M extends ResponseMode = "spread">
+  extends LibraryOptions {
+  responseMode?: M;
+  headers?: Record<string, string | undefined>;
+  serializers?: Serializer[];
+  appCheck?: AppCheckOptions;
+  onUnauthorized?: (response: Response) => void | Promise<void>;
+  /** Validate the successful response bodies of every request, see RequestOptions */
+  schema?: Schema<any>;
+  validate?: Validator<any>;
+}
+
+/* --------------------------------- Results -------------------------------- */
+
+/**
+ * Result in the default "spread" response mode, with the parsed JSON object spread into it,
+ * or any other body as body, along with the status code
+ */
+export type SpreadResult<T> = [T] extends [object]
+  ? T extends
+      | readonly unknown[]
+      | Blob
+      | ArrayBuffer
+      | FormData
+      | ReadableStream
+      | Response
+    ? { body: T; statusCode: number }
+    : T & { statusCode: number }
+  : { body: T; statusCode: number };
+
+/**
+ * Result in the "envelope" response mode
+ */
+export interface Envelope<T> {
+  data: T;
+  status: number;
+  statusText: string;
+  headers: Headers;
+  ok: boolean;
+  url: string;
+  type: ParsedType;
+  raw: Response;
+}
+
+export type Result<T, M extends ResponseMode = "spread"> = M extends "envelope"
+  ? Envelope<T>
+  : SpreadResult<T>;
+
+/**
+ * Method without a request body. The result type follows a literal responseMode in the init object even when
+ * the response type is given explicitly, e.g. get<User>(url, { responseMode: "envelope" }) resolves to Envelope<User>.
+ */
+export interface UrlMethod<Mode extends ResponseMode> {
+  <Res = any>(
+    url: string,
+    init: RequestOptions<Res, "envelope"> & { responseMode: "envelope" }
+  ): Promise<Envelope<Res>>;
+  <Res = any>(
+    url: string,
+    init: RequestOptions<Res, "spread"> & { responseMode: "spread" }
+  ): Promise<SpreadResult<Res>>;
+  <Res = any, M extends ResponseMode = Mode>(
+    url: string,
+    init?: RequestOptions<Res, M>
+  ): Promise<Result<Res, M>>;
+}
+
+/**
+ * Method with a request body of type Req, see UrlMethod
+ */
+export interface DataMethod<Mode extends ResponseMode> {
+  <Req = any, Res = any>(
+    url: string,
+    data: Req | undefined,
+    init: RequestOptions<Res, "envelope"> & { responseMode: "envelope" }
+  ): Promise<Envelope<Res>>;
+  <Req = any, Res = any>(
+    url: string,
+    data: Req | undefined,
+    init: RequestOptions<Res, "spread"> & { responseMode: "spread" }
+  ): Promise<SpreadResult<Res>>;
+  <Req = any, Res = any, M extends ResponseMode = Mode>(
+    url: string,
+    data?: Req,
+    init?: RequestOptions<Res, M>
+  ): Promise<Result<Res, M>>;
+}
+
+/**
+ * request() method with the url and data in the init object, see UrlMethod
+ */
+export interface RequestMethod<Mode extends ResponseMode> {
+  <Req = any, Res = any>(
+    config: RequestOptions<Res, "envelope"> & {
+      responseMode: "envelope";
+      url?: string;
+      data?: Req;
+    }
+  ): Promise<Envelope<Res>>;
+  <Req = any, Res = any>(
+    config: RequestOptions<Res, "spread"> & {
+      responseMode: "spread";
+      url?: string;
+      data?: Req;
+    }
+  ): Promise<SpreadResult<Res>>;
+  <Req = any, Res = any, M extends ResponseMode = Mode>(
+    config?: RequestOptions<Res, M> & { url?: string; data?: Req }
+  ): Promise<Result<Res, M>>;
+}
+
+/**
+ * HTTP methods with the same init object partially applied, see modify().
+ * Promises resolve with the error handler's return value when the request fails, which is not part of the type,
+ * so rethrow in the error handler to keep results and errors apart.
+ */
+export interface Methods<Mode extends ResponseMode = "spread"> {
+  get: UrlMethod<Mode>;
+  head: UrlMethod<Mode>;
+  options: UrlMethod<Mode>;
+  post: DataMethod<Mode>;
+  put: DataMethod<Mode>;
+  patch: DataMethod<Mode>;
+  delete: DataMethod<Mode>;
+  request: RequestMethod<Mode>;
+}
+
+/* ------------------------------ Interceptors ------------------------------ */
+
+/**
+ * Context shared by every interceptor of a request, see use()
+ */
+export interface InterceptorContext {
+  url: string;
+  init: RequestOptions & { headers: Record<string, string | undefined> };
+  response?: Response;
+  result?: unknown;
+  error?: unknown;
+}
+
+export interface Interceptor {
+  request?(ctx: InterceptorContext): void | Promise<void>;
+  response?(ctx: InterceptorContext): void | Promise<void>;
+  error?(ctx: InterceptorContext): void | Promise<void>;
+}
+
+/* --------------------------------- Events --------------------------------- */
+
+/**
+ * Details of the request included in every lifecycle event
+ */
+export interface RequestEventInfo {
+  id: number;
+  method: string;
+  url: string;
+  urlTemplate: string;
+  attempt: number;
+  startTime: number;
+}
+
+export interface RequestEvents {
+  "request:start": RequestEventInfo & {
+    headers: Record<string, string | undefined>;
+    /** Base API URL of the instance that sent the request */
+    apiUrl: string;
+    trustedOrigins?: string[];
+  };
+  "request:end": RequestEventInfo & {
+    status: number;
+    duration: number;
+    bytes?: number;
+  };
+  "request:error": RequestEventInfo & {
+    error: unknown;
+    status?: number;
+    duration: number;
+  };
+  retry: RequestEventInfo & {
+    delay: number;
+    status?: number;
+    error?: TypeError;
+  };
+  "auth:token-refreshed": RequestEventInfo;
+}
+
+/**
+ * Trace every request of the instance with a client span, adding a W3C traceparent header to trusted origins
+ * @returns Function to stop tracing
+ */
+export function openTelemetry(
+  api: fetch<any>,
+  options?: { tracer?: unknown; onSpan?: (span: Span) => void }
+): () => void;
+
+/**
+ * Span passed to onSpan when no OpenTelemetry tracer is given
+ */
+export interface Span {
+  name: string;
+  kind: "client";
+  traceId: string;
+  spanId: string;
+  startTime: number;
+  endTime: number;
+  attributes: Record<string, string | number>;
+  events: Array<{
+    name: string;
+    attributes?: Record<string, unknown>;
+    time: number;
+  }>;
+  status: { code: "unset" | "ok" | "error"; message?: string };
+}
+
+/* --------------------------------- Offline -------------------------------- */
+
+export interface QueuedRequest {
+  id: number;
+  url: string;
+  init: {
+    method: string;
+    headers: Record<string, string | undefined>;
+    body?: BodyInit;
+    formData?: Array<[string, FormDataEntryValue]>;
+    auth?: AuthMode;
+    trustedOrigins?: string[];
+  };
+  queuedAt: number;
+  /** Times the request failed temporarily while replayed online */
+  attempts?: number;
+}
+
+/**
+ * Storage adapter for the offline queue
+ */
+export interface OfflineStorage {
+  getAll(): Promise<QueuedRequest[]>;
+  add(request: Omit<QueuedRequest, "id">): Promise<number>;
+  update(request: QueuedRequest): Promise<unknown>;
+  remove(id: number): Promise<void>;
+}
+
+export interface OfflineQueueOptions {
+  storage?: OfflineStorage;
+  /** Name of the IndexedDB database of the default storage, unique for every client */
+  name?: string;
+  idempotencyHeader?: string;
+  /** Timeout in milliseconds of every replayed request, defaults to 30 seconds */
+  timeout?: number;
+  /** Times a request can fail temporarily while online before it is dropped, defaults to 10 */
+  maxAttempts?: number;
+  /** Delay in milliseconds before replaying while online, doubled on every failed attempt up to 5 minutes, defaults to 5 seconds */
+  retryDelay?: number;
+}
+
+export interface OfflineQueueEvents {
+  queued: { request: QueuedRequest; error: TypeError };
+  replayed: { request: QueuedRequest; response: Response };
+  failed: { request: QueuedRequest; response?: Response; error?: unknown };
+}
+
+export interface OfflineQueue {
+  idempotencyHeader: string;
+  on<K extends keyof OfflineQueueEvents>(
+    event: K,
+    listener: (payload: OfflineQueueEvents[K]) => void
+  ): () => void;
+  off<K extends keyof OfflineQueueEvents>(
+    event: K,
+    listener: (payload: OfflineQueueEvents[K]) => void
+  ): void;
+  getAll(): Promise<QueuedRequest[]>;
+  replay(): Promise<void>;
+}
+
+export function indexedDBStorage(name?: string): OfflineStorage;
+export function memoryStorage(): OfflineStorage;
+
+/* --------------------------------- Client --------------------------------- */
+
+export type ErrorHandler = (error: any) => any;
+
+/**
+ * Options of extend(), any constructor option along with the new client's base URL, auth and error handler
+ */
+export interface ExtendOptions<M extends ResponseMode> extends FetchOptions<M> {
+  baseUrl?: string;
+  authProvider?: Auth;
+  errorHandler?: ErrorHandler;
+}
+
+export default class fetch<Mode extends ResponseMode = "spread">
+  implements Methods<Mode> {
+  constructor(
+    auth: Auth,
+    apiUrl: string,
+    errorHandler?: ErrorHandler,
+    options?: FetchOptions<Mode>
+  );
+
+  get: Methods<Mode>["get"];
+  head: Methods<Mode>["head"];
+  options: Methods<Mode>["options"];
+  post: Methods<Mode>["post"];
+  put: Methods<Mode>["put"];
+  patch: Methods<Mode>["patch"];
+  delete: Methods<Mode>["delete"];
+  request: Methods<Mode>["request"];
+
+  /** Only set with the "offline" option */
+  offlineQueue?: OfflineQueue;
+
+  /** @deprecated Use extend({ baseUrl }) to create a separate client for another base URL instead */
+  __setBaseUrl(apiUrl: string): void;
+
+  extend<M extends ResponseMode = Mode>(config?: ExtendOptions<M>): fetch<M>;
+  use(interceptor: Interceptor): () => void;
+  on<K extends keyof RequestEvents>(
+    event: K,
+    listener: (payload: RequestEvents[K]) => void
+  ): () => void;
+  off<K extends keyof RequestEvents>(
+    event: K,
+    listener: (payload: RequestEvents[K]) => void
+  ): this;
+  addSerializer(serializer: Serializer): this;
+  invalidateCache(url?: string, prefix?: boolean): this;
+  abortAll(): void;
+
+  modify<M extends ResponseMode = Mode>(init: InitOrFactory<M>): Methods<M>;
+  modifyPermanently(init: InitOrFactory<Mode>): this;
+}
+
+export function registerClient<C extends fetch<any>>(
+  name: string,
+  client: C
+): C;
+export function getClient<C extends fetch<any> = fetch<any>>(name: string): C;
+
+/* --------------------------------- Errors --------------------------------- */
+
+export interface RequestDetails {
+  method?: string;
+  url: string;
+}
+
+export class TimeoutError extends Error {
+  constructor(timeout: number, url: string);
+  name: "TimeoutError";
+  timeout: number;
+  url: string;
+}
+
+export class HttpError<Body = unknown> extends Error {
+  constructor(response: Response, body: Body, request: RequestDetails);
+  name: string;
+  status: number;
+  statusText: string;
+  headers: Headers;
+  body: Body;
+  request: RequestDetails;
+  response: Response;
+}
+
+export class BadRequestError<Body = unknown> extends HttpError<Body> {
+  name: "BadRequestError";
+}
+export class UnauthorizedError<Body = unknown> extends HttpError<Body> {
+  name: "UnauthorizedError";
+}
+export class ForbiddenError<Body = unknown> extends HttpError<Body> {
+  name: "ForbiddenError";
+}
+export class NotFoundError<Body = unknown> extends HttpError<Body> {
+  name: "NotFoundError";
+}
+export class ServerError<Body = unknown> extends HttpError<Body> {
+  name: "ServerError";
+}
+
+export class AppCheckError extends Error {
+  constructor(cause: unknown);
+  name: "AppCheckError";
+  cause: unknown;
+}
+
+export class UnauthenticatedError extends Error {
+  constructor(url: string, reason: string);
+  name: "UnauthenticatedError";
+  url: string;
+}
+
+export class RequestQueuedError extends Error {
+  constructor(request: QueuedRequest, cause: TypeError);
+  name: "RequestQueuedError";
+  request: QueuedRequest;
+  cause: TypeError;
+}
+
+/**
+ * Error passed to the error handler when a response body does not match the "schema" or "validate" option
+ */
+export class ResponseValidationError extends Error {
+  constructor(
+    issues: ValidationIssue[],
+    body: unknown,
+    request?: RequestDetails
+  );
+  name: "ResponseValidationError";
+  issues: ValidationIssue[];
+  path: Array<string | number>;
+  body: unknown;
+  request?: RequestDetails;
+}
@@ -0,0 +1,73 @@
+// Type declarations for fetch-with-fire/mock
+
+import { AuthProvider } from "./index";
+
+/**
+ * Request recorded by the mock fetch function
+ */
+export interface MockCall {
+  method: string;
+  url: string;
+  path: string;
+  query: Record<string, string>;
+  params: Record<string, string>;
+  /** Lower cased header names */
+  headers: Record<string, string>;
+  authorization?: string;
+  body?: BodyInit | null;
+  /** Parsed JSON body, if the body is JSON */
+  data?: any;
+}
+
+export interface MockResponseSpec {
+  status?: number;
+  statusText?: string;
+  headers?: Record<string, string>;
+  json?: unknown;
+  text?: string;
+  body?: BodyInit | null;
+  /** Milliseconds to wait before responding */
+  delay?: number;
+  /** Reject with a TypeError like fetch does on network failures */
+  networkError?: boolean;
+}
+
+export type MockResponse =
+  | MockResponseSpec
+  | Response
+  | ((
+      call: MockCall
+    ) => MockResponseSpec | Response | Promise<MockResponseSpec | Response>);
+
+/**
+ * Path like "/users/:id" or "/files/*", an absolute URL pattern, or a RegExp tested against the full URL
+ */
+export type MockPattern = string | RegExp;
+
+export interface Mock {
+  calls: MockCall[];
+  fetch: typeof globalThis.fetch;
+  route(method: string, pattern: MockPattern, response: MockResponse): Mock;
+  get(pattern: MockPattern, response: MockResponse): Mock;
+  head(pattern: MockPattern, response: MockResponse): Mock;
+  options(pattern: MockPattern, response: MockResponse): Mock;
+  post(pattern: MockPattern, response: MockResponse): Mock;
+  put(pattern: MockPattern, response: MockResponse): Mock;
+  patch(pattern: MockPattern, response: MockResponse): Mock;
+  delete(pattern: MockPattern, response: MockResponse): Mock;
+  callsTo(method?: string, pattern?: MockPattern): MockCall[];
+  reset(): Mock;
+}
+
+export function createMock(): Mock;
+
+export interface FakeAuth extends AuthProvider {
+  tokenRequests: Array<{ forceRefresh: boolean }>;
+  getUid(): string;
+  ready(): Promise<void>;
+  signIn(uid: string, token?: string): void;
+  signOut(): void;
+  setToken(token: string): void;
+}
+
+export function fakeAuth(user?: { uid: string; token?: string }): FakeAuth;
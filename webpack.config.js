@@ -12,10 +12,14 @@ const path = require("path");
 module.exports = {
   mode: "production",
   target: "web",
-  entry: "./src/index.js",
+  // Test helpers are a separate bundle, imported from "fetch-with-fire/mock"
+  entry: {
+    index: "./src/index.js",
+    mock: "./src/mock/index.js",
+  },
   output: {
     path: path.resolve(__dirname, "./dist"),
-    filename: "index.js",
+    filename: "[name].js",
     library: "fetch-with-fire",
     libraryTarget: "commonjs2",
   },